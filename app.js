@@ -11,13 +11,35 @@
 const CONFIG = {
     APP_VERSION: '4.0.0',
     MAX_FILE_SIZE: 52428800, // 50MB in bytes
-    NUMERIC_EPSILON: 0.000001,
+    MAX_LISTED_ROW_CHANGES: 50,
+    WORKER_URL: 'comparison-worker.js',
+    VIEWER_ROW_HEIGHT: 28, // px, must match .viewer-grid tbody rows in styles.css
+    VIEWER_OVERSCAN_ROWS: 10,
+    REVIEW_PAGE_SIZE: 25,
     VALID_FILE_TYPES: [
         'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
         'application/vnd.ms-excel',
+        'application/vnd.oasis.opendocument.spreadsheet',
+        'text/csv',
+        'text/tab-separated-values',
         'application/octet-stream'
     ],
-    VALID_EXTENSIONS: ['.xlsx', '.xls'],
+    VALID_EXTENSIONS: ['.xlsx', '.xls', '.ods', '.csv', '.tsv'],
+    PROFILES_STORAGE_KEY: 'efct-profiles',
+    HISTORY_DB_NAME: 'efct-history',
+    HISTORY_QUOTA_STORAGE_KEY: 'efct-history-quota-mb',
+    DEFAULT_HISTORY_QUOTA_MB: 200,
+    // Option checkboxes saved in profiles, with their default state
+    PROFILE_CHECKBOXES: {
+        alignRows: true,
+        matchColumnsByHeader: true,
+        detectRenamedColumns: true,
+        ignoreCase: false,
+        collapseWhitespace: false,
+        ignoreTimeOfDay: false,
+        compareFormulas: false,
+        compareFormatting: true
+    },
     DEBUG_MODE: false
 };
 
@@ -62,12 +84,7 @@ const Utils = {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     },
     
-    formatNumber: (num) => {
-        const rounded = Number(num.toFixed(2));
-        const parts = rounded.toString().split('.');
-        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-        return parts.join('.');
-    },
+    formatNumber: (num) => ComparisonUtils.formatNumber(num),
     
     getCurrentDateString: () => {
         const now = new Date();
@@ -75,873 +92,2336 @@ const Utils = {
         const month = String(now.getMonth() + 1).padStart(2, '0');
         const day = String(now.getDate()).padStart(2, '0');
         return `${year}-${month}-${day}`;
+    },
+
+    createId: () => {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    // SHA-256 of the file contents; null where Web Crypto is unavailable (pages not served over HTTPS)
+    hashBuffer: async (buffer) => {
+        if (!window.crypto || !window.crypto.subtle) return null;
+        const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    downloadBlob: (blob, filename) => {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
     }
 };
 
-class ExcelComparator {
-    constructor() {
-        this.originalFile = null;
-        this.modifiedFile = null;
-        this.originalData = null;
-        this.modifiedData = null;
-        this.comparisonResult = null;
-        this.differenceMap = new Map();
-        this.reportFormat = 'single';
-        
-        this.initializeEventListeners();
-        this.setDefaultFilename();
-        this.announceToScreenReader('Excel File Comparison Tool loaded and ready');
-        this.logAppVersion();
-    }
+/**
+ * Named comparison profiles, kept in localStorage.
+ * A profile is { id, name, settings, updatedAt }; settings mirror the options form.
+ */
+const ProfileStore = {
+    load: () => {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.PROFILES_STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored.map(ProfileStore.normalize).filter(Boolean) : [];
+        } catch (error) {
+            Logger.warn('Saved profiles could not be read:', error);
+            return [];
+        }
+    },
 
-    logAppVersion() {
-        Logger.log(`%c Excel File Comparison Tool v${CONFIG.APP_VERSION} `, 
-            'background: #217346; color: white; font-weight: bold; padding: 5px 10px;');
-        Logger.log('Ready to compare Excel files!');
-    }
+    save: (profiles) => {
+        localStorage.setItem(CONFIG.PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    },
 
-    announceToScreenReader(message) {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('role', 'status');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.className = 'sr-only';
-        announcement.textContent = message;
-        document.body.appendChild(announcement);
-        setTimeout(() => announcement.remove(), 1000);
+    // Imported and stored profiles are rebuilt field by field, so a hand-edited file cannot inject other settings
+    normalize: (profile) => {
+        if (!profile || typeof profile.name !== 'string' || profile.name.trim() === '') return null;
+
+        const settings = profile.settings || {};
+        const checkboxes = {};
+        Object.entries(CONFIG.PROFILE_CHECKBOXES).forEach(([id, defaultValue]) => {
+            checkboxes[id] = typeof settings[id] === 'boolean' ? settings[id] : defaultValue;
+        });
+
+        return {
+            id: typeof profile.id === 'string' && profile.id !== '' ? profile.id : Utils.createId(),
+            name: profile.name.trim().substring(0, 100),
+            settings: {
+                keyColumns: typeof settings.keyColumns === 'string' ? settings.keyColumns : '',
+                dateFormats: typeof settings.dateFormats === 'string' ? settings.dateFormats : '',
+                ...checkboxes,
+                columnRules: (Array.isArray(settings.columnRules) ? settings.columnRules : [])
+                    .filter(rule => rule && typeof rule.column === 'string' && rule.column.trim() !== '')
+                    .map(rule => ({
+                        column: rule.column.trim(),
+                        ignore: !!rule.ignore,
+                        tolerance: Math.abs(Number(rule.tolerance)) || 0,
+                        relativeTolerance: !!rule.relativeTolerance,
+                        ignoreCase: !!rule.ignoreCase,
+                        collapseWhitespace: !!rule.collapseWhitespace,
+                        ignoreTime: !!rule.ignoreTime,
+                        valueType: ValueTypes.OVERRIDES.includes(rule.valueType) ? rule.valueType : null
+                    })),
+                reportFormat: settings.reportFormat === 'multi' ? 'multi' : 'single',
+                outputFormat: Object.keys(EXPORT_FORMATS).includes(settings.outputFormat) ? settings.outputFormat : 'xlsx',
+                outputFilename: typeof settings.outputFilename === 'string' ? settings.outputFilename : ''
+            },
+            updatedAt: typeof profile.updatedAt === 'string' ? profile.updatedAt : new Date().toISOString()
+        };
     }
+};
 
-    initializeEventListeners() {
-        const originalFileInput = document.getElementById('originalFile');
-        const modifiedFileInput = document.getElementById('modifiedFile');
-        const compareBtn = document.getElementById('compareBtn');
-        const downloadBtn = document.getElementById('downloadBtn');
-        
-        if (originalFileInput) {
-            originalFileInput.addEventListener('change', (e) => {
-                this.handleFileUpload(e, 'original');
-            });
-        }
-        
-        if (modifiedFileInput) {
-            modifiedFileInput.addEventListener('change', (e) => {
-                this.handleFileUpload(e, 'modified');
-            });
-        }
+/**
+ * Past comparison runs in IndexedDB. The light entry (files, settings, summary) lives in "runs"
+ * so the list loads quickly; the comparison result and report bytes live in "payloads".
+ */
+class HistoryStore {
+    constructor() {
+        this.dbPromise = null;
+    }
 
-        if (compareBtn) {
-            compareBtn.addEventListener('click', () => {
-                this.performComparison();
-            });
-        }
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
 
-        if (downloadBtn) {
-            downloadBtn.addEventListener('click', () => {
-                this.downloadReport();
+                const request = window.indexedDB.open(CONFIG.HISTORY_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('runs', { keyPath: 'id' });
+                    db.createObjectStore('payloads', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
             });
         }
+        return this.dbPromise;
+    }
 
-        document.querySelectorAll('input[name="reportFormat"]').forEach(radio => {
-            radio.addEventListener('change', (e) => {
-                this.reportFormat = e.target.value;
-                Logger.log(`Report format changed to: ${this.reportFormat}`);
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+
+            // A failed step aborts the transaction, so nothing is half written
+            new Promise(resolveWork => resolveWork(work(tx))).then(value => {
+                result = value;
+            }, error => {
+                reject(error);
+                try {
+                    tx.abort();
+                } catch (abortError) {
+                    // The transaction has already finished
+                }
             });
         });
-
-        this.setupDragAndDrop();
-        this.setupKeyboardNavigation();
     }
 
-    setupKeyboardNavigation() {
-        document.addEventListener('keydown', (e) => {
-            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-                const compareBtn = document.getElementById('compareBtn');
-                if (compareBtn && !compareBtn.disabled) {
-                    e.preventDefault();
-                    compareBtn.click();
-                }
-            }
-            
-            if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
-                const downloadBtn = document.getElementById('downloadBtn');
-                if (downloadBtn && !downloadBtn.classList.contains('hidden')) {
-                    e.preventDefault();
-                    downloadBtn.click();
-                }
-            }
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
         });
     }
 
-    setDefaultFilename() {
-        const filenameInput = document.getElementById('outputFilename');
-        if (filenameInput) {
-            const dateStr = Utils.getCurrentDateString();
-            filenameInput.value = `comparison_report_${dateStr}`;
-        }
+    // Newest first
+    async list() {
+        const runs = await this.transaction(['runs'], 'readonly', tx => this.request(tx.objectStore('runs').getAll()));
+        return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
     }
 
-    setupDragAndDrop() {
-        const uploadSection = document.querySelector('.form-section');
-        if (!uploadSection) return;
-        
-        ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
-            uploadSection.addEventListener(eventName, this.preventDefaults, false);
+    add(run, payload) {
+        return this.transaction(['runs', 'payloads'], 'readwrite', tx => {
+            tx.objectStore('runs').put(run);
+            tx.objectStore('payloads').put({ id: run.id, ...payload });
         });
+    }
 
-        ['dragenter', 'dragover'].forEach(eventName => {
-            uploadSection.addEventListener(eventName, () => {
-                uploadSection.classList.add('dragover');
-            }, false);
-        });
+    getPayload(id) {
+        return this.transaction(['payloads'], 'readonly', tx => this.request(tx.objectStore('payloads').get(id)));
+    }
 
-        ['dragleave', 'drop'].forEach(eventName => {
-            uploadSection.addEventListener(eventName, () => {
-                uploadSection.classList.remove('dragover');
-            }, false);
+    delete(id) {
+        return this.transaction(['runs', 'payloads'], 'readwrite', tx => {
+            tx.objectStore('runs').delete(id);
+            tx.objectStore('payloads').delete(id);
         });
+    }
 
-        uploadSection.addEventListener('drop', this.handleDrop.bind(this), false);
+    // Removes the oldest runs until the total size fits; returns how many were removed
+    async enforceQuota(maxBytes) {
+        const runs = await this.list();
+        let totalBytes = runs.reduce((sum, run) => sum + run.size, 0);
+        let evicted = 0;
+
+        for (const run of runs.slice().reverse()) {
+            if (totalBytes <= maxBytes) break;
+            await this.delete(run.id);
+            totalBytes -= run.size;
+            evicted++;
+        }
+        return evicted;
     }
+}
 
-    preventDefaults(e) {
-        e.preventDefault();
-        e.stopPropagation();
+/**
+ * Sends requests to comparison-worker.js and resolves them from its replies.
+ * Falls back to a ComparisonSession on the page when a worker cannot be started
+ * (for example when index.html is opened from the file system).
+ */
+class ComparisonWorkerClient {
+    constructor() {
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map();
+        this.loadedSlots = new Set();
+        this.start();
     }
 
-    handleDrop(e) {
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            const originalFileInput = document.getElementById('originalFile');
-            const modifiedFileInput = document.getElementById('modifiedFile');
-            
-            if (!this.originalFile && originalFileInput) {
-                const dt = new DataTransfer();
-                dt.items.add(files[0]);
-                originalFileInput.files = dt.files;
-                this.handleFileUpload({target: {files: [files[0]]}}, 'original');
-            } else if (!this.modifiedFile && files.length > 0 && modifiedFileInput) {
-                const dt = new DataTransfer();
-                dt.items.add(files[0]);
-                modifiedFileInput.files = dt.files;
-                this.handleFileUpload({target: {files: [files[0]]}}, 'modified');
+    start() {
+        this.worker = null;
+        this.session = null;
+
+        if (window.Worker) {
+            try {
+                this.worker = new Worker(CONFIG.WORKER_URL);
+                this.worker.addEventListener('message', (e) => this.handleReply(e.data));
+                this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+            } catch (error) {
+                Logger.warn('Web Worker unavailable, comparing on the main thread:', error);
+                this.worker = null;
             }
         }
+
+        if (!this.worker) {
+            this.session = new ComparisonSession();
+        }
     }
 
-    async handleFileUpload(event, fileType) {
-        const file = event.target.files[0];
-        
-        if (!file) {
-            this.clearFileStatus(fileType);
+    request(type, payload = {}, onProgress = null) {
+        const message = { id: this.nextRequestId++, type, ...payload };
+
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(message.id, { message, resolve, reject, onProgress });
+            this.dispatch(message);
+        });
+    }
+
+    dispatch(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        } else {
+            setTimeout(() => this.session.handleMessage(message, (reply) => this.handleReply(reply)), 0);
+        }
+    }
+
+    handleReply(reply) {
+        const request = this.pendingRequests.get(reply.id);
+        if (!request) return;
+
+        if (reply.type === 'progress') {
+            if (request.onProgress) {
+                request.onProgress(reply.percentage, reply.text);
+            }
             return;
         }
 
-        const validation = this.validateFile(file);
-        if (!validation.isValid) {
-            this.showFileStatus(fileType, validation.message, 'error');
-            this.announceToScreenReader(`Error: ${validation.message}`);
+        this.pendingRequests.delete(reply.id);
+        if (reply.type === 'error') {
+            request.reject(new Error(reply.message));
             return;
         }
 
-        try {
-            this.showFileStatus(fileType, 'Loading file...', 'warning');
-            
-            const data = await this.readExcelFile(file);
-            
-            if (fileType === 'original') {
-                this.originalFile = file;
-                this.originalData = data;
-            } else {
-                this.modifiedFile = file;
-                this.modifiedData = data;
-            }
+        if (request.message.type === 'load') {
+            this.loadedSlots.add(request.message.slot);
+        }
+        request.resolve(reply.result);
+    }
 
-            const successMessage = `Loaded: ${file.name} (${Utils.formatFileSize(file.size)}, ${data.SheetNames.length} sheets)`;
-            this.showFileStatus(fileType, successMessage, 'success');
-            this.announceToScreenReader(`${fileType} file loaded successfully`);
+    // The worker script failed to start; replay the outstanding requests on the page
+    handleWorkerError(event) {
+        event.preventDefault();
+        Logger.error('Comparison worker failed:', event.message);
 
-            this.updateCompareButton();
+        this.worker.terminate();
+        this.worker = null;
+        this.session = new ComparisonSession();
+        this.loadedSlots.clear();
+        this.pendingRequests.forEach(request => this.dispatch(request.message));
+    }
 
-        } catch (error) {
-            this.showFileStatus(fileType, `Error loading file: ${error.message}`, 'error');
-            this.announceToScreenReader(`Error loading ${fileType} file`);
-            Logger.error('File loading error:', error);
-        }
+    isLoaded(slot) {
+        return this.loadedSlots.has(slot);
     }
 
-    validateFile(file) {
-        const hasValidExtension = CONFIG.VALID_EXTENSIONS.some(ext => 
-            file.name.toLowerCase().endsWith(ext)
-        );
+    // The slot was loaded with another file, so the next comparison reloads it
+    forget(slot) {
+        this.loadedSlots.delete(slot);
+    }
 
-        if (!CONFIG.VALID_FILE_TYPES.includes(file.type) && !hasValidExtension) {
-            return {
-                isValid: false,
-                message: 'Invalid file type. Please select an Excel file (.xlsx or .xls)'
-            };
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
         }
 
-        if (file.size > CONFIG.MAX_FILE_SIZE) {
-            return {
-                isValid: false,
-                message: `File too large. Maximum size is 50MB (current: ${Utils.formatFileSize(file.size)})`
-            };
+        const cancelledError = new Error('Comparison cancelled');
+        cancelledError.cancelled = true;
+        this.pendingRequests.forEach(request => request.reject(cancelledError));
+        this.pendingRequests.clear();
+        this.loadedSlots.clear();
+        this.start();
+    }
+}
+
+/**
+ * Browses the last comparison sheet by sheet. Grids are fetched from the worker on demand and
+ * only the rows scrolled into view are rendered, so large sheets stay responsive.
+ */
+class DiffViewer {
+    constructor(container, workerClient, comparisonResult, announce) {
+        this.container = container;
+        this.workerClient = workerClient;
+        this.comparisonResult = comparisonResult;
+        this.announce = announce;
+        this.sheetViews = new Map();
+        this.sheetIndex = 0;
+        this.view = null;
+        this.mode = 'side-by-side';
+        this.filters = { value: true, formula: true, added: true, removed: true, unchanged: true };
+        this.visibleRows = [];
+        this.diffPositions = [];
+        this.currentDiff = -1;
+        this.pendingFrame = null;
+    }
+
+    render() {
+        const sheetSummaries = this.comparisonResult.sheetSummaries;
+        if (sheetSummaries.length === 0) return;
+
+        const filterLabels = {
+            value: 'Value changes',
+            formula: 'Formula changes',
+            added: 'Added rows',
+            removed: 'Removed rows',
+            unchanged: 'Unchanged rows'
+        };
+        if (!this.comparisonResult.compareFormulas) {
+            delete filterLabels.formula;
         }
 
-        return { isValid: true };
+        this.container.innerHTML = `
+            <h4 id="viewer-heading">Differences</h4>
+            <div class="viewer-tabs" role="tablist" aria-labelledby="viewer-heading">
+                ${sheetSummaries.map((summary, index) => `
+                    <button type="button" class="viewer-tab" role="tab" data-sheet-index="${index}"
+                            aria-selected="${index === this.sheetIndex}" aria-controls="viewerViewport">
+                        ${Utils.sanitizeHTML(summary.sheet)}${summary.modifiedSheet !== summary.sheet ? ` &#8594; ${Utils.sanitizeHTML(summary.modifiedSheet)}` : ''}${summary.range ? ` (${summary.range})` : ''}
+                        <span class="viewer-tab-count">${Utils.formatNumber(summary.cellsChanged + summary.rowsAdded + summary.rowsRemoved)}</span>
+                    </button>
+                `).join('')}
+            </div>
+            <div class="viewer-toolbar">
+                <div class="radio-group" role="radiogroup" aria-label="Viewer layout">
+                    <div class="radio-option">
+                        <input type="radio" id="viewerSideBySide" name="viewerMode" value="side-by-side" checked>
+                        <label for="viewerSideBySide">Side by side</label>
+                    </div>
+                    <div class="radio-option">
+                        <input type="radio" id="viewerOverlay" name="viewerMode" value="overlay">
+                        <label for="viewerOverlay">Overlay</label>
+                    </div>
+                </div>
+                <div class="viewer-filters" role="group" aria-label="Show change types">
+                    ${Object.entries(filterLabels).map(([filter, label]) => `
+                        <div class="checkbox-option">
+                            <input type="checkbox" id="viewerFilter-${filter}" data-filter="${filter}" checked>
+                            <label for="viewerFilter-${filter}">${label}</label>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="viewer-navigation">
+                    <button type="button" class="btn btn-secondary" id="viewerPrevBtn" aria-keyshortcuts="Shift+F8">&#9650; Previous</button>
+                    <button type="button" class="btn btn-secondary" id="viewerNextBtn" aria-keyshortcuts="F8">&#9660; Next</button>
+                    <span id="viewerPosition" class="viewer-position" aria-live="polite"></span>
+                </div>
+            </div>
+            <div id="viewerViewport" class="viewer-viewport" role="tabpanel" tabindex="0" aria-label="Compared cells">
+                <table class="viewer-grid">
+                    <thead></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        this.viewport = this.container.querySelector('#viewerViewport');
+        this.bindEvents();
+        this.selectSheet(this.sheetIndex);
     }
 
-    async readExcelFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    
-                    if (this.isEncryptedFile(data)) {
-                        reject(new Error('Encrypted files are not supported for comparison.\nPlease copy the content into a new blank file, save it, and try again.'));
-                        return;
-                    }
-                    
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    
-                    if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
-                        reject(new Error('Encrypted files are not supported for comparison.\nPlease copy the content into a new blank file, save it, and try again.'));
-                        return;
-                    }
-                    
-                    resolve(workbook);
-                } catch (error) {
-                    if (error.message && (
-                        error.message.toLowerCase().includes('password') ||
-                        error.message.toLowerCase().includes('encrypted') ||
-                        error.message.toLowerCase().includes('protected') ||
-                        error.message.toLowerCase().includes('corrupt') ||
-                        error.message.includes('Unsupported file')
-                    )) {
-                        reject(new Error('Encrypted files are not supported for comparison.\nPlease copy the content into a new blank file, save it, and try again.'));
-                    } else {
-                        reject(new Error(`Failed to parse Excel file: ${error.message}`));
-                    }
-                }
-            };
-            
-            reader.onerror = () => {
-                reject(new Error('Failed to read file'));
-            };
-            
-            reader.readAsArrayBuffer(file);
+    bindEvents() {
+        this.container.querySelectorAll('.viewer-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.selectSheet(Number(tab.dataset.sheetIndex)));
         });
-    }
 
-    isEncryptedFile(data) {
-        try {
-            if (data.length >= 8) {
-                const oleSignature = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
-                let isOLE = true;
-                for (let i = 0; i < 8; i++) {
-                    if (data[i] !== oleSignature[i]) {
-                        isOLE = false;
-                        break;
-                    }
-                }
-                
-                if (isOLE) {
-                    const dataStr = Array.from(data.slice(0, Math.min(1024, data.length)))
-                        .map(byte => String.fromCharCode(byte))
-                        .join('');
-                    
-                    if (dataStr.includes('EncryptionInfo') || 
-                        dataStr.includes('EncryptedPackage') ||
-                        dataStr.includes('Microsoft.Container.EncryptionTransform')) {
-                        return true;
-                    }
-                }
+        this.container.querySelectorAll('input[name="viewerMode"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                this.mode = e.target.value;
+                this.renderHeader();
+                this.renderRows();
+            });
+        });
+
+        this.container.querySelectorAll('input[data-filter]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.filters[e.target.dataset.filter] = e.target.checked;
+                this.applyFilters();
+            });
+        });
+
+        this.container.querySelector('#viewerPrevBtn').addEventListener('click', () => this.goToDifference(-1));
+        this.container.querySelector('#viewerNextBtn').addEventListener('click', () => this.goToDifference(1));
+
+        this.viewport.addEventListener('scroll', () => {
+            if (this.pendingFrame !== null) return;
+            this.pendingFrame = requestAnimationFrame(() => {
+                this.pendingFrame = null;
+                this.renderRows();
+            });
+        });
+    }
+
+    async selectSheet(sheetIndex) {
+        this.sheetIndex = sheetIndex;
+        this.container.querySelectorAll('.viewer-tab').forEach(tab => {
+            tab.setAttribute('aria-selected', Number(tab.dataset.sheetIndex) === sheetIndex);
+        });
+
+        if (!this.sheetViews.has(sheetIndex)) {
+            this.setPosition('Loading...');
+            try {
+                this.sheetViews.set(sheetIndex, await this.workerClient.request('view', { sheetIndex }));
+            } catch (error) {
+                this.setPosition(`Could not load sheet: ${error.message}`);
+                Logger.error('Viewer error:', error);
+                return;
+            }
+            if (this.sheetIndex !== sheetIndex) return;
+        }
+
+        this.view = this.sheetViews.get(sheetIndex);
+        this.renderHeader();
+        this.applyFilters();
+    }
+
+    getRowStatus(row) {
+        if (row.originalRow === null) return 'added';
+        if (row.modifiedRow === null) return 'removed';
+        return Object.keys(row.changes).length > 0 ? 'changed' : 'unchanged';
+    }
+
+    rowMatchesFilters(row) {
+        const status = this.getRowStatus(row);
+        if (status !== 'changed') return this.filters[status];
+
+        return Object.values(row.changes).some(changeType =>
+            changeType === 'both' ? this.filters.value || this.filters.formula : this.filters[changeType]);
+    }
+
+    // Rebuilds the visible rows and the list of differences that Next/Previous step through
+    applyFilters() {
+        if (!this.view) return;
+
+        this.visibleRows = this.view.rows.filter(row => this.rowMatchesFilters(row));
+        this.diffPositions = [];
+        this.visibleRows.forEach((row, rowIndex) => {
+            const status = this.getRowStatus(row);
+            if (status === 'added' || status === 'removed') {
+                this.diffPositions.push({ rowIndex, col: 0 });
+            } else {
+                Object.keys(row.changes).map(Number).sort((a, b) => a - b)
+                    .forEach(col => this.diffPositions.push({ rowIndex, col }));
+            }
+        });
+        this.currentDiff = -1;
+        this.viewport.scrollTop = 0;
+        this.renderRows();
+        this.setPosition(`${Utils.formatNumber(this.diffPositions.length)} differences, ${Utils.formatNumber(this.visibleRows.length)} rows shown`);
+    }
+
+    renderHeader() {
+        if (!this.view) return;
+
+        const columnHeaders = this.view.columns.map(column => {
+            const cellClass = this.getColumnClass(column);
+            const colspan = this.mode === 'side-by-side' ? ' colspan="2"' : '';
+            return `<th scope="col"${colspan} class="${cellClass}">${Utils.sanitizeHTML(column.label)}</th>`;
+        }).join('');
+        const sideHeaders = this.mode === 'side-by-side' ? `
+            <tr>
+                <th scope="col" class="viewer-row-number"></th>
+                ${this.view.columns.map(() => '<th scope="col">Original</th><th scope="col">Modified</th>').join('')}
+            </tr>` : '';
+
+        this.container.querySelector('.viewer-grid thead').innerHTML = `
+            <tr>
+                <th scope="col" class="viewer-row-number">Row</th>
+                ${columnHeaders}
+            </tr>
+            ${sideHeaders}
+        `;
+    }
+
+    // Renders only the rows inside the viewport, padded above and below to keep the scroll height
+    renderRows() {
+        const tbody = this.container.querySelector('.viewer-grid tbody');
+        if (!tbody || !this.view) return;
+
+        const rowHeight = CONFIG.VIEWER_ROW_HEIGHT;
+        const overscan = CONFIG.VIEWER_OVERSCAN_ROWS;
+        const first = Math.max(0, Math.floor(this.viewport.scrollTop / rowHeight) - overscan);
+        const last = Math.min(this.visibleRows.length, Math.ceil((this.viewport.scrollTop + this.viewport.clientHeight) / rowHeight) + overscan);
+        const columnCount = 1 + this.view.columns.length * (this.mode === 'side-by-side' ? 2 : 1);
+        const active = this.diffPositions[this.currentDiff] || null;
+
+        const rows = [];
+        for (let rowIndex = first; rowIndex < last; rowIndex++) {
+            const row = this.visibleRows[rowIndex];
+            const activeCol = active && active.rowIndex === rowIndex ? active.col : null;
+            rows.push(`
+                <tr class="viewer-row-${this.getRowStatus(row)}">
+                    <th scope="row" class="viewer-row-number">${Utils.sanitizeHTML(this.getRowNumber(row))}</th>
+                    ${this.view.columns.map((column, col) => this.renderCell(row, column, col, col === activeCol)).join('')}
+                </tr>
+            `);
+        }
+
+        const spacer = (count) => count > 0
+            ? `<tr class="viewer-spacer" aria-hidden="true"><td colspan="${columnCount}" style="height: ${count * rowHeight}px"></td></tr>`
+            : '';
+        tbody.innerHTML = spacer(first) + rows.join('') + spacer(this.visibleRows.length - last);
+    }
+
+    renderCell(row, column, col, isActive) {
+        const original = row.original[col];
+        const modified = row.modified[col];
+        const classes = [this.getCellClass(row, column, col)];
+        if (isActive) {
+            classes.push('viewer-active');
+        }
+        const className = classes.filter(Boolean).join(' ');
+
+        if (this.mode === 'side-by-side') {
+            return `<td class="${className}">${Utils.sanitizeHTML(original)}</td><td class="${className}">${Utils.sanitizeHTML(modified)}</td>`;
+        }
+
+        if (row.changes[col] !== undefined) {
+            const overlay = original === modified
+                ? Utils.sanitizeHTML(modified)
+                : `<del>${Utils.sanitizeHTML(original)}</del> <ins>${Utils.sanitizeHTML(modified)}</ins>`;
+            const formulaNote = row.changes[col] !== 'value' ? ' <span class="viewer-formula-note">(formula)</span>' : '';
+            return `<td class="${className}">${overlay}${formulaNote}</td>`;
+        }
+        return `<td class="${className}">${Utils.sanitizeHTML(row.modifiedRow === null || column.status === 'removed' ? original : modified)}</td>`;
+    }
+
+    // Added and removed rows and columns win over changed cells, as in the report
+    getCellClass(row, column, col) {
+        if (row.originalRow === null) return 'diff-added';
+        if (row.modifiedRow === null) return 'diff-removed';
+        return this.getColumnClass(column) || (row.changes[col] !== undefined ? 'diff-changed' : '');
+    }
+
+    getColumnClass(column) {
+        if (column.status === 'added') return 'diff-added';
+        if (column.status === 'removed') return 'diff-removed';
+        return '';
+    }
+
+    getRowNumber(row) {
+        if (row.originalRow === null) return `+${row.modifiedRow}`;
+        if (row.modifiedRow === null) return `-${row.originalRow}`;
+        return row.originalRow === row.modifiedRow ? `${row.originalRow}` : `${row.originalRow} → ${row.modifiedRow}`;
+    }
+
+    goToDifference(step) {
+        if (!this.view || this.diffPositions.length === 0) {
+            this.setPosition('No differences to show');
+            return;
+        }
+
+        const count = this.diffPositions.length;
+        this.currentDiff = this.currentDiff === -1
+            ? (step > 0 ? 0 : count - 1)
+            : (this.currentDiff + step + count) % count;
+
+        const { rowIndex, col } = this.diffPositions[this.currentDiff];
+        const rowTop = rowIndex * CONFIG.VIEWER_ROW_HEIGHT;
+        if (rowTop < this.viewport.scrollTop || rowTop + CONFIG.VIEWER_ROW_HEIGHT > this.viewport.scrollTop + this.viewport.clientHeight) {
+            this.viewport.scrollTop = Math.max(0, rowTop - this.viewport.clientHeight / 3);
+        }
+        this.renderRows();
+
+        const activeCell = this.viewport.querySelector('.viewer-active');
+        if (activeCell) {
+            activeCell.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+
+        const row = this.visibleRows[rowIndex];
+        const position = `Difference ${Utils.formatNumber(this.currentDiff + 1)} of ${Utils.formatNumber(count)}`;
+        this.setPosition(position);
+        this.announce(`${position}: row ${this.getRowNumber(row)}, ${this.view.columns[col].label}`);
+    }
+
+    setPosition(text) {
+        const position = this.container.querySelector('#viewerPosition');
+        if (position) {
+            position.textContent = text;
+        }
+    }
+}
+
+/**
+ * Accept or reject the cell differences of the last comparison one cell at a time, or a whole
+ * row, column or sheet at once, then download the original workbook with the accepted changes
+ * merged in. Undecided changes are treated as rejected.
+ */
+class ReviewPanel {
+    constructor(container, workerClient, comparisonResult, announce) {
+        this.container = container;
+        this.workerClient = workerClient;
+        this.comparisonResult = comparisonResult;
+        this.announce = announce;
+        this.differences = comparisonResult.differences;
+        this.decisions = new Array(this.differences.length).fill(null);
+        this.scope = 'cell';
+        this.groups = [];
+        this.page = 0;
+    }
+
+    render() {
+        const scopes = { cell: 'Cell', row: 'Row', column: 'Column', sheet: 'Sheet' };
+
+        this.container.innerHTML = `
+            <h4 id="review-heading">Review Changes</h4>
+            <p class="form-hint">Accepted changes are copied from the modified file into the original; rejected and undecided cells keep their original value. Inserted and deleted rows are not merged.</p>
+            <div class="viewer-toolbar">
+                <div class="radio-group" role="radiogroup" aria-label="Review changes by">
+                    ${Object.entries(scopes).map(([scope, label]) => `
+                        <div class="radio-option">
+                            <input type="radio" id="reviewScope-${scope}" name="reviewScope" value="${scope}"${scope === this.scope ? ' checked' : ''}>
+                            <label for="reviewScope-${scope}">${label}</label>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="viewer-navigation">
+                    <button type="button" class="btn btn-secondary" data-review-all="accept">Accept all</button>
+                    <button type="button" class="btn btn-secondary" data-review-all="reject">Reject all</button>
+                    <span id="reviewSummary" class="viewer-position" aria-live="polite"></span>
+                </div>
+            </div>
+            <ul id="reviewList" class="review-list" aria-labelledby="review-heading"></ul>
+            <div class="viewer-navigation">
+                <button type="button" class="btn btn-secondary" id="reviewPrevBtn">&#9664; Previous</button>
+                <button type="button" class="btn btn-secondary" id="reviewNextBtn">Next &#9654;</button>
+                <span id="reviewPage" class="viewer-position"></span>
+            </div>
+            <div class="review-merge">
+                <div class="checkbox-option">
+                    <input type="checkbox" id="reviewRecordChanges" checked>
+                    <label for="reviewRecordChanges">Add an Applied Changes sheet listing the merged cells</label>
+                </div>
+                <button type="button" class="btn btn-primary" id="mergeDownloadBtn">Download merged workbook</button>
+                <span id="reviewMergeStatus" class="viewer-position" aria-live="polite"></span>
+            </div>
+        `;
+
+        this.bindEvents();
+        this.setScope(this.scope);
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('input[name="reviewScope"]').forEach(radio => {
+            radio.addEventListener('change', (e) => this.setScope(e.target.value));
+        });
+
+        this.container.querySelectorAll('[data-review-all]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.decide(this.differences.map((difference, index) => index), button.dataset.reviewAll);
+                this.announce(button.dataset.reviewAll === 'accept' ? 'All changes accepted' : 'All changes rejected');
+            });
+        });
+
+        this.container.querySelector('#reviewList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-review-decision]');
+            if (!button) return;
+            const group = this.groups[Number(button.closest('.review-item').dataset.groupIndex)];
+            this.decide(group.indices, button.dataset.reviewDecision);
+            this.announce(`${group.label}: ${button.dataset.reviewDecision === 'accept' ? 'accepted' : 'rejected'}`);
+        });
+
+        this.container.querySelector('#reviewPrevBtn').addEventListener('click', () => this.goToPage(this.page - 1));
+        this.container.querySelector('#reviewNextBtn').addEventListener('click', () => this.goToPage(this.page + 1));
+        this.container.querySelector('#mergeDownloadBtn').addEventListener('click', () => this.downloadMerged());
+    }
+
+    // Groups the differences by the chosen scope, in the order they were found
+    setScope(scope) {
+        this.scope = scope;
+        const groups = new Map();
+        this.differences.forEach((difference, index) => {
+            const groupKey = this.getGroupKey(difference);
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { label: this.getGroupLabel(difference), difference, indices: [] });
+            }
+            groups.get(groupKey).indices.push(index);
+        });
+        this.groups = [...groups.values()];
+        this.goToPage(0);
+    }
+
+    getGroupKey(difference) {
+        switch (this.scope) {
+            case 'row':
+                return `${difference.sheet}\u0000${difference.row}`;
+            case 'column':
+                return `${difference.sheet}\u0000${difference.column}`;
+            case 'sheet':
+                return difference.sheet;
+            default:
+                return `${difference.sheet}\u0000${difference.cellRef}`;
+        }
+    }
+
+    getGroupLabel(difference) {
+        switch (this.scope) {
+            case 'row': {
+                const rowNumber = difference.cellRef.replace(/^[A-Z]+/, '');
+                return `${difference.sheet}: row ${rowNumber}${difference.key ? ` (key ${difference.key})` : ''}`;
+            }
+            case 'column':
+                return `${difference.sheet}: ${difference.column}`;
+            case 'sheet':
+                return difference.sheet;
+            default:
+                return `${difference.sheet}!${difference.cellRef} (${difference.column})`;
+        }
+    }
+
+    getGroupDetail(group) {
+        if (this.scope !== 'cell') {
+            return `${Utils.formatNumber(group.indices.length)} change(s)`;
+        }
+        const { originalValue, modifiedValue, originalType, modifiedType } = group.difference;
+        return `${ValueTypes.format(originalValue, originalType) || '(blank)'} → ${ValueTypes.format(modifiedValue, modifiedType) || '(blank)'}`;
+    }
+
+    getGroupStatus(group) {
+        const accepted = group.indices.filter(index => this.decisions[index] === 'accept').length;
+        const rejected = group.indices.filter(index => this.decisions[index] === 'reject').length;
+        if (accepted === group.indices.length) return { status: 'accepted', text: 'Accepted' };
+        if (rejected === group.indices.length) return { status: 'rejected', text: 'Rejected' };
+        if (accepted + rejected === 0) return { status: 'undecided', text: 'Undecided' };
+        return { status: 'mixed', text: `${Utils.formatNumber(accepted)} of ${Utils.formatNumber(group.indices.length)} accepted` };
+    }
+
+    decide(indices, decision) {
+        indices.forEach(index => {
+            this.decisions[index] = decision;
+        });
+        this.renderList();
+    }
+
+    goToPage(page) {
+        const pageCount = Math.max(1, Math.ceil(this.groups.length / CONFIG.REVIEW_PAGE_SIZE));
+        this.page = Math.min(Math.max(page, 0), pageCount - 1);
+        this.renderList();
+    }
+
+    renderList() {
+        const start = this.page * CONFIG.REVIEW_PAGE_SIZE;
+        const visibleGroups = this.groups.slice(start, start + CONFIG.REVIEW_PAGE_SIZE);
+        const pageCount = Math.max(1, Math.ceil(this.groups.length / CONFIG.REVIEW_PAGE_SIZE));
+
+        this.container.querySelector('#reviewList').innerHTML = visibleGroups.map((group, offset) => {
+            const { status, text } = this.getGroupStatus(group);
+            const label = Utils.sanitizeHTML(group.label);
+            return `
+                <li class="review-item review-${status}" data-group-index="${start + offset}">
+                    <span class="review-item-label">${label}</span>
+                    <span class="review-item-detail">${Utils.sanitizeHTML(this.getGroupDetail(group))}</span>
+                    <span class="review-item-status">${text}</span>
+                    <button type="button" class="btn btn-secondary" data-review-decision="accept"
+                            aria-pressed="${status === 'accepted'}" aria-label="Accept ${label}">Accept</button>
+                    <button type="button" class="btn btn-secondary" data-review-decision="reject"
+                            aria-pressed="${status === 'rejected'}" aria-label="Reject ${label}">Reject</button>
+                </li>
+            `;
+        }).join('');
+
+        this.container.querySelector('#reviewPrevBtn').disabled = this.page === 0;
+        this.container.querySelector('#reviewNextBtn').disabled = this.page >= pageCount - 1;
+        this.container.querySelector('#reviewPage').textContent = `Page ${this.page + 1} of ${pageCount}`;
+
+        const accepted = this.decisions.filter(decision => decision === 'accept').length;
+        const rejected = this.decisions.filter(decision => decision === 'reject').length;
+        this.container.querySelector('#reviewSummary').textContent =
+            `${Utils.formatNumber(accepted)} accepted, ${Utils.formatNumber(rejected)} rejected, ` +
+            `${Utils.formatNumber(this.decisions.length - accepted - rejected)} undecided`;
+    }
+
+    // The merge runs where the compared workbooks are loaded, so it needs the comparison that built this panel
+    async downloadMerged() {
+        const mergeButton = this.container.querySelector('#mergeDownloadBtn');
+        const mergeStatus = this.container.querySelector('#reviewMergeStatus');
+        const acceptedIndices = this.decisions
+            .map((decision, index) => (decision === 'accept' ? index : -1))
+            .filter(index => index !== -1);
+
+        mergeButton.disabled = true;
+        mergeStatus.textContent = 'Building merged workbook...';
+        try {
+            const { workbook } = await this.workerClient.request('merge', {
+                acceptedIndices,
+                recordChanges: this.container.querySelector('#reviewRecordChanges').checked
+            });
+            Utils.downloadBlob(new Blob([workbook], { type: EXPORT_FORMATS.xlsx.mimeType }), this.getMergedFilename());
+            mergeStatus.textContent = `Merged workbook downloaded with ${Utils.formatNumber(acceptedIndices.length)} change(s) applied`;
+            this.announce(mergeStatus.textContent);
+        } catch (error) {
+            mergeStatus.textContent = `Merge failed: ${error.message}`;
+            this.announce('Merge failed');
+            Logger.error('Merge error:', error);
+        } finally {
+            mergeButton.disabled = false;
+        }
+    }
+
+    getMergedFilename() {
+        const baseName = this.comparisonResult.originalFile.replace(/\.[^.]+$/, '');
+        return `${Utils.sanitizeFilename(baseName)}_merged.xlsx`;
+    }
+}
+
+class ExcelComparator {
+    constructor() {
+        this.originalFile = null;
+        this.modifiedFile = null;
+        this.originalSheetNames = null;
+        this.modifiedSheetNames = null;
+        this.baseFile = null;
+        this.baseSheetNames = null;
+        this.comparisonResult = null;
+        this.reportData = null;
+        this.reportFormat = 'single';
+        this.outputFormat = 'xlsx';
+        this.isComparing = false;
+        this.workerClient = new ComparisonWorkerClient();
+        this.diffViewer = null;
+        this.reviewPanel = null;
+        this.profiles = ProfileStore.load();
+        this.historyStore = new HistoryStore();
+        this.fileHashes = { original: null, modified: null, base: null };
+        this.comparisonFiles = null;
+        this.batchFiles = { original: [], modified: [] };
+        this.batchPairs = [];
+        this.batchRuns = [];
+        
+        this.initializeEventListeners();
+        this.setDefaultFilename();
+        this.announceToScreenReader('Excel File Comparison Tool loaded and ready');
+        this.logAppVersion();
+    }
+
+    logAppVersion() {
+        Logger.log(`%c Excel File Comparison Tool v${CONFIG.APP_VERSION} `, 
+            'background: #217346; color: white; font-weight: bold; padding: 5px 10px;');
+        Logger.log('Ready to compare Excel files!');
+    }
+
+    announceToScreenReader(message) {
+        const announcement = document.createElement('div');
+        announcement.setAttribute('role', 'status');
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.className = 'sr-only';
+        announcement.textContent = message;
+        document.body.appendChild(announcement);
+        setTimeout(() => announcement.remove(), 1000);
+    }
+
+    initializeEventListeners() {
+        const originalFileInput = document.getElementById('originalFile');
+        const modifiedFileInput = document.getElementById('modifiedFile');
+        const baseFileInput = document.getElementById('baseFile');
+        const compareBtn = document.getElementById('compareBtn');
+        const downloadBtn = document.getElementById('downloadBtn');
+        const patchBtn = document.getElementById('patchBtn');
+        const cancelBtn = document.getElementById('cancelBtn');
+        const addColumnRuleBtn = document.getElementById('addColumnRuleBtn');
+        
+        if (originalFileInput) {
+            originalFileInput.addEventListener('change', (e) => {
+                this.handleFileUpload(e, 'original');
+            });
+        }
+        
+        if (modifiedFileInput) {
+            modifiedFileInput.addEventListener('change', (e) => {
+                this.handleFileUpload(e, 'modified');
+            });
+        }
+
+        if (baseFileInput) {
+            baseFileInput.addEventListener('change', (e) => {
+                this.handleFileUpload(e, 'base');
+            });
+        }
+
+        if (compareBtn) {
+            compareBtn.addEventListener('click', () => {
+                this.performComparison();
+            });
+        }
+
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => {
+                this.downloadReport();
+            });
+        }
+
+        if (patchBtn) {
+            patchBtn.addEventListener('click', () => {
+                this.downloadPatch();
+            });
+        }
+
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                this.cancelComparison();
+            });
+        }
+
+        const addSheetPairBtn = document.getElementById('addSheetPairBtn');
+        if (addSheetPairBtn) {
+            addSheetPairBtn.addEventListener('click', () => {
+                this.addSheetPair();
+            });
+        }
+
+        if (addColumnRuleBtn) {
+            addColumnRuleBtn.addEventListener('click', () => {
+                this.addColumnRule();
+            });
+        }
+
+        document.querySelectorAll('input[name="reportFormat"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                this.reportFormat = e.target.value;
+                Logger.log(`Report format changed to: ${this.reportFormat}`);
+            });
+        });
+
+        const outputFormatSelect = document.getElementById('outputFormat');
+        if (outputFormatSelect) {
+            outputFormatSelect.addEventListener('change', (e) => {
+                this.setOutputFormat(e.target.value);
+            });
+        }
+
+        this.setupDragAndDrop();
+        this.setupKeyboardNavigation();
+        this.setupProfiles();
+        this.setupHistory();
+        this.setupBatch();
+        this.setupPatch();
+    }
+
+    setupKeyboardNavigation() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                const compareBtn = document.getElementById('compareBtn');
+                if (compareBtn && !compareBtn.disabled) {
+                    e.preventDefault();
+                    compareBtn.click();
+                }
             }
             
-            if (data.length >= 4) {
-                const zipSignature = [0x50, 0x4B, 0x03, 0x04];
-                let isZip = true;
-                for (let i = 0; i < 4; i++) {
-                    if (data[i] !== zipSignature[i]) {
-                        isZip = false;
-                        break;
-                    }
+            if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
+                const downloadBtn = document.getElementById('downloadBtn');
+                if (downloadBtn && !downloadBtn.classList.contains('hidden')) {
+                    e.preventDefault();
+                    downloadBtn.click();
                 }
-                
-                if (isZip) {
-                    const dataStr = Array.from(data.slice(0, Math.min(2048, data.length)))
-                        .map(byte => String.fromCharCode(byte))
-                        .join('');
-                    
-                    if (dataStr.includes('EncryptionInfo') || 
-                        dataStr.includes('EncryptedPackage') ||
-                        !dataStr.includes('xl/workbook.xml')) {
-                        return true;
-                    }
+            }
+
+            if (e.key === 'F8' && this.diffViewer && !this.isComparing) {
+                e.preventDefault();
+                this.diffViewer.goToDifference(e.shiftKey ? -1 : 1);
+            }
+
+            if (e.key === 'Escape' && this.isComparing) {
+                e.preventDefault();
+                this.cancelComparison();
+            }
+        });
+    }
+
+    setDefaultFilename() {
+        const filenameInput = document.getElementById('outputFilename');
+        if (filenameInput) {
+            const dateStr = Utils.getCurrentDateString();
+            filenameInput.value = `comparison_report_${dateStr}`;
+        }
+    }
+
+    setupDragAndDrop() {
+        const uploadSection = document.querySelector('.form-section');
+        if (!uploadSection) return;
+        
+        ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
+            uploadSection.addEventListener(eventName, this.preventDefaults, false);
+        });
+
+        ['dragenter', 'dragover'].forEach(eventName => {
+            uploadSection.addEventListener(eventName, () => {
+                uploadSection.classList.add('dragover');
+            }, false);
+        });
+
+        ['dragleave', 'drop'].forEach(eventName => {
+            uploadSection.addEventListener(eventName, () => {
+                uploadSection.classList.remove('dragover');
+            }, false);
+        });
+
+        uploadSection.addEventListener('drop', this.handleDrop.bind(this), false);
+    }
+
+    preventDefaults(e) {
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // Several files dropped at once start a batch; single files fill the original, then the modified slot
+    handleDrop(e) {
+        const files = e.dataTransfer.files;
+        if (files.length > 1) {
+            const batchSection = document.getElementById('batchSection');
+            if (batchSection) {
+                batchSection.open = true;
+            }
+            this.setBatchFiles('original', Array.from(files));
+            this.setBatchFiles('modified', []);
+            this.announceToScreenReader(`${files.length} files added to the batch comparison`);
+            return;
+        }
+        if (files.length > 0) {
+            const originalFileInput = document.getElementById('originalFile');
+            const modifiedFileInput = document.getElementById('modifiedFile');
+            
+            if (!this.originalFile && originalFileInput) {
+                const dt = new DataTransfer();
+                dt.items.add(files[0]);
+                originalFileInput.files = dt.files;
+                this.handleFileUpload({target: {files: [files[0]]}}, 'original');
+            } else if (!this.modifiedFile && files.length > 0 && modifiedFileInput) {
+                const dt = new DataTransfer();
+                dt.items.add(files[0]);
+                modifiedFileInput.files = dt.files;
+                this.handleFileUpload({target: {files: [files[0]]}}, 'modified');
+            }
+        }
+    }
+
+    async handleFileUpload(event, fileType) {
+        const file = event.target.files[0];
+        
+        if (!file) {
+            this.clearFileStatus(fileType);
+            return;
+        }
+
+        const validation = this.validateFile(file);
+        if (!validation.isValid) {
+            this.showFileStatus(fileType, validation.message, 'error');
+            this.announceToScreenReader(`Error: ${validation.message}`);
+            return;
+        }
+
+        try {
+            this.showFileStatus(fileType, 'Loading file...', 'warning');
+            
+            const { sheetNames, sourceFormat } = await this.loadWorkbook(fileType, file);
+            
+            if (fileType === 'original') {
+                this.originalFile = file;
+                this.originalSheetNames = sheetNames;
+            } else if (fileType === 'base') {
+                this.baseFile = file;
+                this.baseSheetNames = sheetNames;
+            } else {
+                this.modifiedFile = file;
+                this.modifiedSheetNames = sheetNames;
+            }
+
+            let successMessage = `Loaded: ${file.name} (${Utils.formatFileSize(file.size)}, ${sheetNames.length} sheets)`;
+            if (sourceFormat && sourceFormat.isText) {
+                successMessage += ` - ${WorkbookReader.describeSourceFormat(sourceFormat)}`;
+            }
+            this.showFileStatus(fileType, successMessage, 'success');
+            this.announceToScreenReader(`${fileType} file loaded successfully`);
+
+            this.updateCompareButton();
+            this.renderSheetMapping();
+
+        } catch (error) {
+            // The worker has already dropped the slot's previous workbook, so the slot is left empty
+            this.workerClient.forget(fileType);
+            this.clearFileStatus(fileType);
+            this.showFileStatus(fileType, `Error loading file: ${error.message}`, 'error');
+            this.announceToScreenReader(`Error loading ${fileType} file`);
+            Logger.error('File loading error:', error);
+        }
+    }
+
+    validateFile(file) {
+        const hasValidExtension = CONFIG.VALID_EXTENSIONS.some(ext => 
+            file.name.toLowerCase().endsWith(ext)
+        );
+
+        if (!CONFIG.VALID_FILE_TYPES.includes(file.type) && !hasValidExtension) {
+            return {
+                isValid: false,
+                message: 'Invalid file type. Please select a spreadsheet (.xlsx, .xls, .ods, .csv or .tsv)'
+            };
+        }
+
+        if (file.size > CONFIG.MAX_FILE_SIZE) {
+            return {
+                isValid: false,
+                message: `File too large. Maximum size is 50MB (current: ${Utils.formatFileSize(file.size)})`
+            };
+        }
+
+        return { isValid: true };
+    }
+
+    // Parsing happens in the worker; the page only reads the raw bytes
+    async loadWorkbook(fileType, file) {
+        const buffer = await this.readFileBuffer(file);
+        const hash = await Utils.hashBuffer(buffer);
+        const loaded = await this.workerClient.request('load', { slot: fileType, name: file.name, buffer });
+        this.fileHashes[fileType] = hash;
+        return loaded;
+    }
+
+    async readFileBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            
+            reader.onload = (e) => {
+                resolve(e.target.result);
+            };
+            
+            reader.onerror = () => {
+                reject(new Error('Failed to read file'));
+            };
+            
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    getFile(fileType) {
+        return { original: this.originalFile, modified: this.modifiedFile, base: this.baseFile }[fileType];
+    }
+
+    // Files are reloaded after a cancelled comparison restarted the worker
+    async ensureWorkbooksLoaded() {
+        const fileTypes = this.baseFile ? ['original', 'modified', 'base'] : ['original', 'modified'];
+        for (const fileType of fileTypes) {
+            if (!this.workerClient.isLoaded(fileType)) {
+                this.updateProgress(0, `Reloading ${fileType} file...`);
+                await this.loadWorkbook(fileType, this.getFile(fileType));
+            }
+        }
+    }
+
+    showFileStatus(fileType, message, statusType) {
+        const statusElement = document.getElementById(`${fileType}-status`);
+        if (!statusElement) return;
+        
+        statusElement.textContent = message;
+        statusElement.className = `file-status status-${statusType}`;
+        statusElement.classList.remove('hidden');
+    }
+
+    clearFileStatus(fileType) {
+        const statusElement = document.getElementById(`${fileType}-status`);
+        if (statusElement) {
+            statusElement.classList.add('hidden');
+        }
+        
+        if (fileType === 'original') {
+            this.originalFile = null;
+            this.originalSheetNames = null;
+        } else if (fileType === 'base') {
+            this.baseFile = null;
+            this.baseSheetNames = null;
+        } else {
+            this.modifiedFile = null;
+            this.modifiedSheetNames = null;
+        }
+        
+        this.updateCompareButton();
+        this.renderSheetMapping();
+    }
+
+    // Starts from the automatic pairing; the user can change, add or remove pairs and limit them to a range.
+    // A three-way comparison pairs the sheets of all three files by name, so the pairs are hidden then
+    renderSheetMapping() {
+        const sheetMappingGroup = document.getElementById('sheetMappingGroup');
+        const sheetMappingList = document.getElementById('sheetMapping');
+        const sheetPreview = document.getElementById('sheetPreview');
+        if (!sheetMappingGroup || !sheetMappingList) return;
+
+        sheetMappingList.innerHTML = '';
+        if (sheetPreview) {
+            sheetPreview.classList.add('hidden');
+            sheetPreview.innerHTML = '';
+        }
+        if (!this.originalSheetNames || !this.modifiedSheetNames || this.baseFile) {
+            sheetMappingGroup.classList.add('hidden');
+            return;
+        }
+
+        const { sheetPairs, originalOnly, modifiedOnly } = ComparisonEngine.pairSheets(this.originalSheetNames, this.modifiedSheetNames);
+        const allExact = originalOnly.length === 0 && modifiedOnly.length === 0 &&
+            sheetPairs.every(pair => pair.original === pair.modified);
+
+        sheetPairs.forEach(pair => this.addSheetPair(pair.original, pair.modified));
+        originalOnly.forEach(sheetName => this.addSheetPair(sheetName, ''));
+        sheetMappingGroup.classList.remove('hidden');
+
+        if (!allExact) {
+            this.announceToScreenReader('Sheet names differ between the files. Review the sheet pairs before comparing.');
+        }
+    }
+
+    addSheetPair(original = '', modified = '', range = '', headerRows = '', labelColumn = '') {
+        const sheetMappingList = document.getElementById('sheetMapping');
+        if (!sheetMappingList || !this.originalSheetNames || !this.modifiedSheetNames) return;
+
+        const toOptions = (sheetNames) => sheetNames.map(sheetName => {
+            const safeName = Utils.sanitizeHTML(sheetName).replace(/"/g, '&quot;');
+            return `<option value="${safeName}">${Utils.sanitizeHTML(sheetName)}</option>`;
+        }).join('');
+
+        const pairRow = document.createElement('div');
+        pairRow.className = 'sheet-mapping-row';
+        pairRow.innerHTML = `
+            <select class="form-input" data-pair-field="original" aria-label="Original sheet">
+                ${toOptions(this.originalSheetNames)}
+            </select>
+            <span aria-hidden="true">&#8594;</span>
+            <select class="form-input" data-pair-field="modified" aria-label="Modified sheet">
+                <option value="">(not compared)</option>
+                ${toOptions(this.modifiedSheetNames)}
+            </select>
+            <input type="text" class="form-input" data-pair-field="range" placeholder="Range, e.g. B5:K200" aria-label="Cell range (optional)" maxlength="30">
+            <input type="text" class="form-input" data-pair-field="headerRows" placeholder="Header rows" aria-label="Header rows, e.g. 5 or 5-6 (optional)" maxlength="15">
+            <input type="text" class="form-input" data-pair-field="labelColumn" placeholder="Label col" aria-label="Label column letter, e.g. C (optional)" maxlength="3">
+            <button type="button" class="btn btn-secondary" data-pair-action="preview">Preview</button>
+            <button type="button" class="btn btn-secondary" data-pair-action="remove" aria-label="Remove sheet pair">
+                <span aria-hidden="true">&#10006;</span>
+            </button>
+        `;
+
+        pairRow.querySelector('[data-pair-field="original"]').value = original || this.originalSheetNames[0];
+        pairRow.querySelector('[data-pair-field="modified"]').value = modified;
+        pairRow.querySelector('[data-pair-field="range"]').value = range;
+        pairRow.querySelector('[data-pair-field="headerRows"]').value = headerRows;
+        pairRow.querySelector('[data-pair-field="labelColumn"]').value = labelColumn;
+        pairRow.querySelector('[data-pair-action="preview"]').addEventListener('click', () => {
+            this.previewSheetPair(pairRow);
+        });
+        pairRow.querySelector('[data-pair-action="remove"]').addEventListener('click', () => {
+            pairRow.remove();
+            this.announceToScreenReader('Sheet pair removed');
+        });
+        sheetMappingList.appendChild(pairRow);
+    }
+
+    getSheetPairs() {
+        const sheetMappingGroup = document.getElementById('sheetMappingGroup');
+        if (!sheetMappingGroup || sheetMappingGroup.classList.contains('hidden')) return null;
+
+        return Array.from(sheetMappingGroup.querySelectorAll('.sheet-mapping-row')).map(pairRow => {
+            const field = (name) => pairRow.querySelector(`[data-pair-field="${name}"]`).value;
+            const original = field('original');
+            try {
+                return {
+                    original,
+                    modified: field('modified'),
+                    range: ComparisonEngine.normalizeRange(field('range')),
+                    headerRows: ComparisonEngine.normalizeHeaderRows(field('headerRows')),
+                    labelColumn: ComparisonEngine.normalizeColumn(field('labelColumn'))
+                };
+            } catch (error) {
+                throw new Error(`Sheet pair "${original}": ${error.message}`);
+            }
+        });
+    }
+
+    async previewSheetPair(pairRow) {
+        const sheetPreview = document.getElementById('sheetPreview');
+        if (!sheetPreview) return;
+
+        const original = pairRow.querySelector('[data-pair-field="original"]').value;
+        const modified = pairRow.querySelector('[data-pair-field="modified"]').value;
+        const range = pairRow.querySelector('[data-pair-field="range"]').value;
+        const sides = [{ slot: 'original', label: 'Original', sheet: original }];
+        if (modified) {
+            sides.push({ slot: 'modified', label: 'Modified', sheet: modified });
+        }
+
+        try {
+            await this.ensureWorkbooksLoaded();
+            const previews = await Promise.all(sides.map(side => this.workerClient.request('preview', { slot: side.slot, sheet: side.sheet, range })));
+            sheetPreview.innerHTML = sides.map((side, index) => this.renderSheetPreview(side, range, previews[index])).join('');
+        } catch (error) {
+            sheetPreview.innerHTML = `<p class="form-hint">Preview unavailable: ${Utils.sanitizeHTML(error.message)}</p>`;
+        }
+        sheetPreview.classList.remove('hidden');
+    }
+
+    renderSheetPreview(side, range, preview) {
+        const cellRange = ComparisonEngine.normalizeRange(range);
+        const caption = `${side.label}: ${side.sheet}${cellRange ? ` (${cellRange})` : ''}, ` +
+            `${Utils.formatNumber(preview.totalRows)} rows × ${Utils.formatNumber(preview.totalColumns)} columns`;
+        return `
+            <table class="sheet-preview-table">
+                <caption>${Utils.sanitizeHTML(caption)}</caption>
+                <thead>
+                    <tr><th scope="col"></th>${preview.columns.map(column => `<th scope="col">${column}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${preview.rows.map(row => `
+                        <tr><th scope="row">${row.rowNumber}</th>${row.values.map(value => `<td>${Utils.sanitizeHTML(value)}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    addColumnRule(column = '', type = 'ignore', tolerance = '', valueType = 'number') {
+        const columnRules = document.getElementById('columnRules');
+        if (!columnRules) return;
+
+        const ruleRow = document.createElement('div');
+        ruleRow.className = 'column-rule-row';
+        ruleRow.innerHTML = `
+            <input type="text" class="form-input" data-rule-field="column" placeholder="Column header, e.g. Last Modified" aria-label="Column header" maxlength="255">
+            <select class="form-input" data-rule-field="type" aria-label="Rule">
+                <option value="ignore">Ignore column</option>
+                <option value="absolute">Tolerance &plusmn;</option>
+                <option value="relative">Tolerance &plusmn; %</option>
+                <option value="ignoreCase">Ignore case</option>
+                <option value="collapseWhitespace">Collapse whitespace</option>
+                <option value="ignoreTime">Ignore time of day</option>
+                <option value="valueType">Read as</option>
+            </select>
+            <input type="number" class="form-input hidden" data-rule-field="tolerance" min="0" step="any" placeholder="0.01" aria-label="Tolerance">
+            <select class="form-input hidden" data-rule-field="valueType" aria-label="Value type">
+                ${ValueTypes.OVERRIDES.map(valueType => `<option value="${valueType}">${Utils.sanitizeHTML(valueType)}</option>`).join('')}
+            </select>
+            <button type="button" class="btn btn-secondary" aria-label="Remove column rule">
+                <span aria-hidden="true">&#10006;</span>
+            </button>
+        `;
+
+        const columnInput = ruleRow.querySelector('[data-rule-field="column"]');
+        const typeSelect = ruleRow.querySelector('[data-rule-field="type"]');
+        const toleranceInput = ruleRow.querySelector('[data-rule-field="tolerance"]');
+        const valueTypeSelect = ruleRow.querySelector('[data-rule-field="valueType"]');
+        const updateToleranceInput = () => {
+            toleranceInput.classList.toggle('hidden', typeSelect.value !== 'absolute' && typeSelect.value !== 'relative');
+            valueTypeSelect.classList.toggle('hidden', typeSelect.value !== 'valueType');
+        };
+        columnInput.value = column;
+        typeSelect.value = type;
+        toleranceInput.value = tolerance;
+        valueTypeSelect.value = valueType;
+        updateToleranceInput();
+        typeSelect.addEventListener('change', updateToleranceInput);
+        ruleRow.querySelector('button').addEventListener('click', () => {
+            ruleRow.remove();
+            this.announceToScreenReader('Column rule removed');
+        });
+
+        columnRules.appendChild(ruleRow);
+        if (column === '') {
+            columnInput.focus();
+        }
+    }
+
+    // A rule can combine several settings, each of which has its own row in the form
+    setColumnRules(rules) {
+        const columnRules = document.getElementById('columnRules');
+        if (!columnRules) return;
+
+        columnRules.innerHTML = '';
+        rules.forEach(rule => {
+            if (rule.ignore) this.addColumnRule(rule.column, 'ignore');
+            if (rule.tolerance > 0) this.addColumnRule(rule.column, rule.relativeTolerance ? 'relative' : 'absolute', rule.tolerance);
+            if (rule.ignoreCase) this.addColumnRule(rule.column, 'ignoreCase');
+            if (rule.collapseWhitespace) this.addColumnRule(rule.column, 'collapseWhitespace');
+            if (rule.ignoreTime) this.addColumnRule(rule.column, 'ignoreTime');
+            if (rule.valueType) this.addColumnRule(rule.column, 'valueType', '', rule.valueType);
+        });
+    }
+
+    setupProfiles() {
+        const profileSelect = document.getElementById('profileSelect');
+        const importInput = document.getElementById('importProfilesInput');
+        if (!profileSelect) return;
+
+        profileSelect.addEventListener('change', () => this.selectProfile());
+
+        const actions = {
+            applyProfileBtn: () => this.applyProfile(),
+            saveProfileBtn: () => this.saveProfile(),
+            duplicateProfileBtn: () => this.duplicateProfile(),
+            deleteProfileBtn: () => this.deleteProfile(),
+            exportProfilesBtn: () => this.exportProfiles(),
+            importProfilesBtn: () => importInput && importInput.click()
+        };
+        Object.entries(actions).forEach(([buttonId, action]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', action);
+            }
+        });
+
+        if (importInput) {
+            importInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) {
+                    this.importProfiles(file);
                 }
+            });
+        }
+
+        this.renderProfiles();
+    }
+
+    renderProfiles(selectedId = '') {
+        const profileSelect = document.getElementById('profileSelect');
+        if (!profileSelect) return;
+
+        const profiles = this.profiles.slice().sort((a, b) => a.name.localeCompare(b.name));
+        profileSelect.innerHTML = `
+            <option value="">No profile</option>
+            ${profiles.map(profile => `
+                <option value="${Utils.sanitizeHTML(profile.id)}">${Utils.sanitizeHTML(profile.name)}</option>
+            `).join('')}
+        `;
+        profileSelect.value = selectedId;
+        this.selectProfile();
+    }
+
+    getSelectedProfile() {
+        const profileSelect = document.getElementById('profileSelect');
+        if (!profileSelect) return null;
+        return this.profiles.find(profile => profile.id === profileSelect.value) || null;
+    }
+
+    selectProfile() {
+        const profile = this.getSelectedProfile();
+        const profileName = document.getElementById('profileName');
+        if (profileName) {
+            profileName.value = profile ? profile.name : '';
+        }
+
+        ['applyProfileBtn', 'duplicateProfileBtn', 'deleteProfileBtn'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.disabled = !profile;
             }
-            
-            return false;
+        });
+    }
+
+    getProfileSettings() {
+        const keyColumnsInput = document.getElementById('keyColumns');
+        const dateFormatsInput = document.getElementById('dateFormats');
+        const filenameInput = document.getElementById('outputFilename');
+        const checkboxes = {};
+        Object.entries(CONFIG.PROFILE_CHECKBOXES).forEach(([id, defaultValue]) => {
+            const checkbox = document.getElementById(id);
+            checkboxes[id] = checkbox ? checkbox.checked : defaultValue;
+        });
+
+        return {
+            keyColumns: keyColumnsInput ? keyColumnsInput.value.trim() : '',
+            dateFormats: dateFormatsInput ? dateFormatsInput.value.trim() : '',
+            ...checkboxes,
+            columnRules: this.getColumnRules(),
+            reportFormat: this.reportFormat,
+            outputFormat: this.outputFormat,
+            outputFilename: filenameInput ? filenameInput.value.trim() : ''
+        };
+    }
+
+    applyProfileSettings(settings) {
+        const keyColumnsInput = document.getElementById('keyColumns');
+        const dateFormatsInput = document.getElementById('dateFormats');
+        const filenameInput = document.getElementById('outputFilename');
+        const formatRadio = document.querySelector(`input[name="reportFormat"][value="${settings.reportFormat}"]`);
+
+        if (keyColumnsInput) {
+            keyColumnsInput.value = settings.keyColumns;
+        }
+        if (dateFormatsInput) {
+            dateFormatsInput.value = settings.dateFormats;
+        }
+        Object.keys(CONFIG.PROFILE_CHECKBOXES).forEach(id => {
+            const checkbox = document.getElementById(id);
+            if (checkbox) {
+                checkbox.checked = settings[id];
+            }
+        });
+        this.setColumnRules(settings.columnRules);
+        if (formatRadio) {
+            formatRadio.checked = true;
+        }
+        this.reportFormat = settings.reportFormat;
+        this.setOutputFormat(settings.outputFormat);
+        if (filenameInput && settings.outputFilename) {
+            filenameInput.value = settings.outputFilename;
+        }
+    }
+
+    applyProfile() {
+        const profile = this.getSelectedProfile();
+        if (!profile) return;
+
+        this.applyProfileSettings(profile.settings);
+        this.showStatus(`Profile "${profile.name}" applied`, 'success');
+        this.announceToScreenReader(`Profile ${profile.name} applied`);
+    }
+
+    // Saving with a profile selected updates it; with "No profile" selected it creates a new one
+    saveProfile() {
+        const profileName = document.getElementById('profileName');
+        const name = profileName ? profileName.value.trim() : '';
+        if (name === '') {
+            this.showStatus('Enter a profile name before saving', 'warning');
+            if (profileName) profileName.focus();
+            return;
+        }
+
+        let settings;
+        try {
+            settings = this.getProfileSettings();
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+            return;
+        }
+
+        const selected = this.getSelectedProfile();
+        const nameTaken = this.profiles.some(profile =>
+            profile !== selected && profile.name.toLowerCase() === name.toLowerCase());
+        if (nameTaken) {
+            this.showStatus(`A profile named "${name}" already exists`, 'warning');
+            return;
+        }
+
+        const profile = selected || { id: Utils.createId() };
+        Object.assign(profile, { name, settings, updatedAt: new Date().toISOString() });
+        if (!selected) {
+            this.profiles.push(profile);
+        }
+
+        if (this.storeProfiles()) {
+            this.renderProfiles(profile.id);
+            this.showStatus(`Profile "${name}" saved`, 'success');
+            this.announceToScreenReader(`Profile ${name} saved`);
+        }
+    }
+
+    duplicateProfile() {
+        const profile = this.getSelectedProfile();
+        if (!profile) return;
+
+        const copy = {
+            id: Utils.createId(),
+            name: this.getUniqueProfileName(`${profile.name} (copy)`),
+            settings: JSON.parse(JSON.stringify(profile.settings)),
+            updatedAt: new Date().toISOString()
+        };
+        this.profiles.push(copy);
+
+        if (this.storeProfiles()) {
+            this.renderProfiles(copy.id);
+            this.showStatus(`Profile duplicated as "${copy.name}"`, 'success');
+        }
+    }
+
+    deleteProfile() {
+        const profile = this.getSelectedProfile();
+        if (!profile || !window.confirm(`Delete the profile "${profile.name}"?`)) return;
+
+        this.profiles = this.profiles.filter(savedProfile => savedProfile !== profile);
+        if (this.storeProfiles()) {
+            this.renderProfiles();
+            this.showStatus(`Profile "${profile.name}" deleted`, 'success');
+        }
+    }
+
+    getUniqueProfileName(baseName) {
+        const names = new Set(this.profiles.map(profile => profile.name.toLowerCase()));
+        let name = baseName;
+        let counter = 2;
+        while (names.has(name.toLowerCase())) {
+            name = `${baseName} ${counter++}`;
+        }
+        return name;
+    }
+
+    storeProfiles() {
+        try {
+            ProfileStore.save(this.profiles);
+            return true;
         } catch (error) {
+            Logger.error('Profiles could not be saved:', error);
+            this.showStatus('Profiles could not be saved in this browser', 'error');
             return false;
         }
     }
 
-    showFileStatus(fileType, message, statusType) {
-        const statusElement = document.getElementById(`${fileType === 'original' ? 'original' : 'modified'}-status`);
-        if (!statusElement) return;
-        
-        statusElement.textContent = message;
-        statusElement.className = `file-status status-${statusType}`;
-        statusElement.classList.remove('hidden');
+    exportProfiles() {
+        if (this.profiles.length === 0) {
+            this.showStatus('There are no profiles to export', 'warning');
+            return;
+        }
+
+        const data = { application: 'Excel File Comparison Tool', version: CONFIG.APP_VERSION, profiles: this.profiles };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        Utils.downloadBlob(blob, `comparison_profiles_${Utils.getCurrentDateString()}.json`);
+        this.showStatus(`${this.profiles.length} profile(s) exported`, 'success');
     }
 
-    clearFileStatus(fileType) {
-        const statusElement = document.getElementById(`${fileType === 'original' ? 'original' : 'modified'}-status`);
-        if (statusElement) {
-            statusElement.classList.add('hidden');
+    // Imported profiles replace saved profiles with the same name
+    async importProfiles(file) {
+        try {
+            const text = new TextDecoder().decode(await this.readFileBuffer(file));
+            const data = JSON.parse(text);
+            const imported = (Array.isArray(data) ? data : (data && data.profiles) || [])
+                .map(ProfileStore.normalize)
+                .filter(Boolean);
+            if (imported.length === 0) {
+                throw new Error('The file does not contain any profiles');
+            }
+
+            imported.forEach(profile => {
+                const existing = this.profiles.find(savedProfile => savedProfile.name.toLowerCase() === profile.name.toLowerCase());
+                if (existing) {
+                    Object.assign(existing, { settings: profile.settings, updatedAt: profile.updatedAt });
+                } else {
+                    this.profiles.push({ ...profile, id: Utils.createId() });
+                }
+            });
+
+            if (this.storeProfiles()) {
+                this.renderProfiles();
+                this.showStatus(`${imported.length} profile(s) imported`, 'success');
+                this.announceToScreenReader(`${imported.length} profiles imported`);
+            }
+        } catch (error) {
+            const message = error instanceof SyntaxError ? 'The file is not valid JSON' : error.message;
+            this.showStatus(`Import failed: ${message}`, 'error');
+            Logger.error('Profile import error:', error);
         }
-        
-        if (fileType === 'original') {
-            this.originalFile = null;
-            this.originalData = null;
-        } else {
-            this.modifiedFile = null;
-            this.modifiedData = null;
+    }
+
+    // Several rule rows for the same column are merged into one rule
+    getColumnRules() {
+        const rulesByColumn = new Map();
+
+        document.querySelectorAll('#columnRules .column-rule-row').forEach(ruleRow => {
+            const column = ruleRow.querySelector('[data-rule-field="column"]').value.trim();
+            if (column === '') return;
+
+            const type = ruleRow.querySelector('[data-rule-field="type"]').value;
+            const columnKey = column.toLowerCase();
+            if (!rulesByColumn.has(columnKey)) {
+                rulesByColumn.set(columnKey, { column, ignore: false, tolerance: 0, relativeTolerance: false, ignoreCase: false, collapseWhitespace: false, ignoreTime: false, valueType: null });
+            }
+            const rule = rulesByColumn.get(columnKey);
+
+            if (type === 'absolute' || type === 'relative') {
+                const tolerance = parseFloat(ruleRow.querySelector('[data-rule-field="tolerance"]').value);
+                if (isNaN(tolerance) || tolerance < 0) {
+                    throw new Error(`Enter a tolerance of 0 or more for column "${column}"`);
+                }
+                rule.tolerance = tolerance;
+                rule.relativeTolerance = type === 'relative';
+            } else if (type === 'valueType') {
+                rule.valueType = ruleRow.querySelector('[data-rule-field="valueType"]').value;
+            } else {
+                rule[type] = true;
+            }
+        });
+
+        return Array.from(rulesByColumn.values());
+    }
+
+    setupHistory() {
+        const historySection = document.getElementById('historySection');
+        const quotaInput = document.getElementById('historyQuota');
+        if (!historySection) return;
+
+        if (quotaInput) {
+            quotaInput.value = this.getHistoryQuotaMB();
+            quotaInput.addEventListener('change', () => {
+                const quotaMB = parseInt(quotaInput.value, 10);
+                if (isNaN(quotaMB) || quotaMB < 1) {
+                    quotaInput.value = this.getHistoryQuotaMB();
+                    return;
+                }
+                try {
+                    localStorage.setItem(CONFIG.HISTORY_QUOTA_STORAGE_KEY, String(quotaMB));
+                } catch (error) {
+                    Logger.warn('History limit could not be saved:', error);
+                }
+                this.enforceHistoryQuota();
+            });
         }
-        
-        this.updateCompareButton();
+
+        historySection.addEventListener('toggle', () => {
+            if (historySection.open) {
+                this.renderHistory();
+            }
+        });
     }
 
-    updateCompareButton() {
-        const compareBtn = document.getElementById('compareBtn');
-        if (!compareBtn) return;
-        
-        const isEnabled = !!(this.originalFile && this.modifiedFile);
-        compareBtn.disabled = !isEnabled;
-        compareBtn.setAttribute('aria-disabled', !isEnabled);
-        
-        if (isEnabled) {
-            this.announceToScreenReader('Both files loaded. Ready to compare.');
+    getHistoryQuotaMB() {
+        try {
+            const quotaMB = parseInt(localStorage.getItem(CONFIG.HISTORY_QUOTA_STORAGE_KEY), 10);
+            return quotaMB > 0 ? quotaMB : CONFIG.DEFAULT_HISTORY_QUOTA_MB;
+        } catch (error) {
+            return CONFIG.DEFAULT_HISTORY_QUOTA_MB;
         }
     }
 
-    async performComparison() {
+    // Runs in the background after a comparison; callers report a failure, which only costs the history entry
+    async saveToHistory(options) {
+        const result = this.comparisonResult;
+        const report = this.reportData;
+        const size = report.byteLength + JSON.stringify(result).length;
+        const quotaBytes = this.getHistoryQuotaMB() * 1024 * 1024;
+        if (size > quotaBytes) {
+            Logger.warn('Comparison is larger than the history limit and was not saved');
+            return;
+        }
+
+        const filenameInput = document.getElementById('outputFilename');
+
+        const run = {
+            id: Utils.createId(),
+            createdAt: result.comparisonDate,
+            files: this.comparisonFiles,
+            settings: {
+                ...options,
+                reportFormat: this.reportFormat,
+                outputFormat: this.outputFormat,
+                outputFilename: filenameInput ? filenameInput.value.trim() : ''
+            },
+            summary: {
+                totalDifferences: result.totalDifferences,
+                rowsAdded: result.rowsAdded,
+                rowsRemoved: result.rowsRemoved,
+                schemaChanges: result.schemaChanges.length,
+                formatChanges: result.threeWay ? 0 : result.formatChanges.length,
+                conflicts: result.threeWay ? result.conflicts : null,
+                sheetsCompared: result.sheetsCompared
+            },
+            size
+        };
+
+        await this.historyStore.add(run, { comparisonResult: result, report });
+        await this.enforceHistoryQuota();
+    }
+
+    async enforceHistoryQuota() {
         try {
-            this.showProgress(true);
-            this.updateProgress(10, 'Validating file structures...');
-            this.announceToScreenReader('Starting comparison');
-            
-            this.hideElement('resultsSection');
-            this.hideElement('errorSection');
-            this.hideElement('downloadBtn');
-            this.differenceMap.clear();
+            const evicted = await this.historyStore.enforceQuota(this.getHistoryQuotaMB() * 1024 * 1024);
+            if (evicted > 0) {
+                this.announceToScreenReader(`${evicted} old comparisons removed from history`);
+            }
+        } catch (error) {
+            Logger.error('History limit could not be applied:', error);
+            this.showStatus(`History limit could not be applied: ${error.message}`, 'warning');
+        }
+        this.renderHistory();
+    }
+
+    async renderHistory() {
+        const historySection = document.getElementById('historySection');
+        const historyList = document.getElementById('historyList');
+        if (!historyList || !historySection || !historySection.open) return;
+
+        let runs;
+        try {
+            runs = await this.historyStore.list();
+        } catch (error) {
+            historyList.innerHTML = `<p class="form-hint">History is unavailable: ${Utils.sanitizeHTML(error.message)}</p>`;
+            return;
+        }
 
-            const structureValidation = this.validateStructures();
-            if (!structureValidation.isValid) {
-                throw new Error(structureValidation.message);
+        if (runs.length === 0) {
+            historyList.innerHTML = '<p class="form-hint">No comparisons saved yet</p>';
+            return;
+        }
+
+        const totalBytes = runs.reduce((sum, run) => sum + run.size, 0);
+        historyList.innerHTML = `
+            <p class="form-hint">${Utils.formatNumber(runs.length)} comparison(s), ${Utils.formatFileSize(totalBytes)} used</p>
+            <ul>
+                ${runs.map(run => `
+                    <li class="history-entry" data-run-id="${Utils.sanitizeHTML(run.id)}">
+                        <div class="history-entry-details">
+                            <strong>${Utils.sanitizeHTML(run.files.original.name)}</strong> vs
+                            <strong>${Utils.sanitizeHTML(run.files.modified.name)}</strong>
+                            ${run.files.base ? `(base <strong>${Utils.sanitizeHTML(run.files.base.name)}</strong>)` : ''}
+                            <span class="form-hint">
+                                ${Utils.sanitizeHTML(new Date(run.createdAt).toLocaleString())} |
+                                ${Utils.formatNumber(run.summary.totalDifferences)} differences |
+                                ${run.files.base ? `${Utils.formatNumber(run.summary.conflicts)} conflicts |` : ''}
+                                ${Utils.formatFileSize(run.size)}
+                            </span>
+                        </div>
+                        <div class="history-entry-actions">
+                            <button type="button" class="btn btn-secondary" data-history-action="open">Open</button>
+                            <button type="button" class="btn btn-secondary" data-history-action="download">Download</button>
+                            <button type="button" class="btn btn-secondary" data-history-action="delete" aria-label="Delete this comparison from history">Delete</button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        historyList.querySelectorAll('[data-history-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const runId = button.closest('.history-entry').dataset.runId;
+                const run = runs.find(savedRun => savedRun.id === runId);
+                this.handleHistoryAction(button.dataset.historyAction, run);
+            });
+        });
+    }
+
+    async handleHistoryAction(action, run) {
+        if (!run || this.isComparing) return;
+
+        try {
+            if (action === 'delete') {
+                await this.historyStore.delete(run.id);
+                this.renderHistory();
+                this.announceToScreenReader('Comparison removed from history');
+                return;
             }
 
-            this.updateProgress(30, 'Comparing file contents...');
-            
-            await this.compareFiles();
-            
-            this.updateProgress(80, 'Generating report...');
-            
-            this.generateReport();
-            
-            this.updateProgress(100, 'Comparison completed!');
-            
-            setTimeout(() => {
-                this.showProgress(false);
-                this.showResults();
-                this.announceToScreenReader('Comparison completed successfully');
-            }, 1000);
+            const payload = await this.historyStore.getPayload(run.id);
+            if (!payload) {
+                throw new Error('This comparison is no longer stored');
+            }
+            this.comparisonResult = payload.comparisonResult;
+            this.reportData = payload.report;
+            this.reportFormat = run.settings.reportFormat;
+            this.comparisonFiles = run.files;
 
+            if (action === 'download') {
+                this.downloadReport();
+            } else {
+                this.hideElement('errorSection');
+                this.showResults({ fromHistory: true });
+                this.announceToScreenReader('Saved comparison opened');
+            }
         } catch (error) {
-            this.showProgress(false);
-            this.showError(error.message);
-            this.announceToScreenReader('Comparison failed. Please check the error message.');
-            Logger.error('Comparison error:', error);
+            this.showError(`History: ${error.message}`);
+            Logger.error('History error:', error);
         }
     }
 
-    validateStructures() {
-        const originalSheets = this.originalData.SheetNames;
-        const modifiedSheets = this.modifiedData.SheetNames;
+    setupBatch() {
+        const originalInput = document.getElementById('batchOriginalFiles');
+        const modifiedInput = document.getElementById('batchModifiedFiles');
+        const patternInput = document.getElementById('batchPattern');
+        const batchCompareBtn = document.getElementById('batchCompareBtn');
+        const batchDownloadBtn = document.getElementById('batchDownloadBtn');
 
-        if (originalSheets.length !== modifiedSheets.length) {
-            return {
-                isValid: false,
-                message: `Different number of sheets: Original has ${originalSheets.length}, Modified has ${modifiedSheets.length}`
-            };
+        if (originalInput) {
+            originalInput.addEventListener('change', (e) => this.setBatchFiles('original', Array.from(e.target.files)));
+        }
+        if (modifiedInput) {
+            modifiedInput.addEventListener('change', (e) => this.setBatchFiles('modified', Array.from(e.target.files)));
+        }
+        if (patternInput) {
+            patternInput.addEventListener('input', () => this.renderBatchPairs());
+        }
+        if (batchCompareBtn) {
+            batchCompareBtn.addEventListener('click', () => this.performBatchComparison());
         }
+        if (batchDownloadBtn) {
+            batchDownloadBtn.addEventListener('click', () => this.downloadBatchReports());
+        }
+    }
 
-        for (let i = 0; i < originalSheets.length; i++) {
-            if (originalSheets[i] !== modifiedSheets[i]) {
-                return {
-                    isValid: false,
-                    message: `Sheet names don't match: "${originalSheets[i]}" vs "${modifiedSheets[i]}"`
-                };
+    setBatchFiles(side, files) {
+        this.batchFiles[side] = files;
+        this.renderBatchPairs();
+    }
+
+    // Pairs the batch files and lists the pairs, the files left over and any rejected files
+    renderBatchPairs() {
+        const batchPairs = document.getElementById('batchPairs');
+        const batchCompareBtn = document.getElementById('batchCompareBtn');
+        const patternInput = document.getElementById('batchPattern');
+        if (!batchPairs) return;
+
+        this.batchPairs = [];
+        const invalid = [];
+        const validFiles = {};
+        ['original', 'modified'].forEach(side => {
+            validFiles[side] = this.batchFiles[side].filter(file => {
+                const validation = this.validateFile(file);
+                if (!validation.isValid) invalid.push(`${file.name}: ${validation.message}`);
+                return validation.isValid;
+            });
+        });
+
+        let pairing = { pairs: [], unpaired: [] };
+        let pairingError = null;
+        if (validFiles.original.length > 0) {
+            const pattern = patternInput ? patternInput.value : '';
+            const names = (files) => files.map(file => file.name);
+            try {
+                pairing = validFiles.modified.length > 0
+                    ? BatchComparison.pairSets(names(validFiles.original), names(validFiles.modified), pattern)
+                    : BatchComparison.pairList(names(validFiles.original), pattern);
+            } catch (error) {
+                pairingError = error.message;
             }
         }
 
-        return { isValid: true };
+        const modifiedFiles = validFiles.modified.length > 0 ? validFiles.modified : validFiles.original;
+        this.batchPairs = pairing.pairs.map(pair => ({
+            original: validFiles.original[pair.original],
+            modified: modifiedFiles[pair.modified]
+        }));
+        const unpaired = pairing.unpaired.map(entry => {
+            const file = (entry.side === 'modified' ? validFiles.modified : validFiles.original)[entry.index];
+            return `${file.name}: ${entry.reason}`;
+        });
+
+        if (batchCompareBtn) {
+            batchCompareBtn.disabled = this.isComparing || this.batchPairs.length === 0;
+        }
+        if (this.batchFiles.original.length === 0 && this.batchFiles.modified.length === 0) {
+            batchPairs.innerHTML = '';
+            return;
+        }
+
+        batchPairs.innerHTML = `
+            ${pairingError ? `<p class="file-status status-error">${Utils.sanitizeHTML(pairingError)}</p>` : ''}
+            <p class="form-hint">${Utils.formatNumber(this.batchPairs.length)} pair(s) ready</p>
+            <ul>
+                ${this.batchPairs.map(pair => `
+                    <li class="history-entry">
+                        <span class="history-entry-details">
+                            <strong>${Utils.sanitizeHTML(pair.original.name)}</strong> &harr; <strong>${Utils.sanitizeHTML(pair.modified.name)}</strong>
+                        </span>
+                    </li>
+                `).join('')}
+                ${unpaired.concat(invalid).map(text => `
+                    <li class="history-entry"><span class="history-entry-details form-hint">Not compared: ${Utils.sanitizeHTML(text)}</span></li>
+                `).join('')}
+            </ul>
+        `;
     }
 
-    async compareFiles() {
-        const differences = [];
-        const sheetNames = this.originalData.SheetNames;
+    // Runs the pairs one after another through the worker with the current options; a pair that
+    // fails is recorded and the batch goes on
+    async performBatchComparison() {
+        if (this.isComparing || this.batchPairs.length === 0) return;
 
-        for (const sheetName of sheetNames) {
-            const originalSheet = XLSX.utils.sheet_to_json(
-                this.originalData.Sheets[sheetName], 
-                { header: 1, defval: '' }
-            );
-            
-            const modifiedSheet = XLSX.utils.sheet_to_json(
-                this.modifiedData.Sheets[sheetName], 
-                { header: 1, defval: '' }
-            );
+        let options;
+        try {
+            options = { ...this.getComparisonOptions(), sheetMapping: null, threeWay: false };
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
 
-            const maxRows = Math.max(originalSheet.length, modifiedSheet.length);
-            const maxCols = Math.max(
-                Math.max(...originalSheet.map(row => row.length)),
-                Math.max(...modifiedSheet.map(row => row.length))
-            );
+        const pairs = this.batchPairs;
+        const batchDownloadBtn = document.getElementById('batchDownloadBtn');
+        const batchCompareBtn = document.getElementById('batchCompareBtn');
+        this.batchRuns = [];
+        this.setComparisonRunning(true);
+        if (batchCompareBtn) batchCompareBtn.disabled = true;
+        if (batchDownloadBtn) batchDownloadBtn.classList.add('hidden');
+        this.hideElement('resultsSection');
+        this.hideElement('errorSection');
+        this.hideElement('downloadBtn');
+        this.hideElement('patchBtn');
+        this.diffViewer = null;
+        this.reviewPanel = null;
+        this.comparisonResult = null;
+        this.renderBatchDashboard();
+        this.showProgress(true);
+        this.announceToScreenReader(`Starting batch comparison of ${pairs.length} pairs`);
+
+        try {
+            for (let index = 0; index < pairs.length; index++) {
+                const pair = pairs[index];
+                const step = 100 / pairs.length;
+                const label = `Pair ${index + 1} of ${pairs.length}`;
+                const run = { original: pair.original.name, modified: pair.modified.name, result: null, report: null, error: null };
+                this.updateProgress(Math.round(index * step), `${label}: loading ${pair.original.name}...`);
 
-            const sheetDifferences = new Set();
-
-            for (let row = 0; row < maxRows; row++) {
-                for (let col = 0; col < maxCols; col++) {
-                    const originalValue = (originalSheet[row] && originalSheet[row][col]) || '';
-                    const modifiedValue = (modifiedSheet[row] && modifiedSheet[row][col]) || '';
-
-                    if (this.valuesAreDifferent(originalValue, modifiedValue)) {
-                        const cellRef = XLSX.utils.encode_cell({ r: row, c: col });
-                        sheetDifferences.add(`${row}-${col}`);
-                        
-                        differences.push({
-                            sheet: sheetName,
-                            row: row + 1,
-                            col: col + 1,
-                            cellRef: cellRef,
-                            originalValue: originalValue,
-                            modifiedValue: modifiedValue
-                        });
+                try {
+                    for (const [slot, file] of [['original', pair.original], ['modified', pair.modified]]) {
+                        const buffer = await this.readFileBuffer(file);
+                        await this.workerClient.request('load', { slot, name: file.name, buffer });
                     }
+                    const { comparisonResult, report } = await this.workerClient.request(
+                        'compare',
+                        { options, reportFormat: this.reportFormat },
+                        (percentage, text) => this.updateProgress(Math.round(index * step + percentage * step / 100), `${label}: ${text}`)
+                    );
+                    run.result = comparisonResult;
+                    run.report = report;
+                } catch (error) {
+                    if (error.cancelled) throw error;
+                    run.error = error.message;
+                    Logger.error(`Batch pair ${pair.original.name} failed:`, error);
                 }
+
+                this.batchRuns.push(run);
+                this.renderBatchDashboard();
             }
 
-            this.differenceMap.set(sheetName, sheetDifferences);
+            this.updateProgress(100, 'Batch comparison completed!');
+            this.announceToScreenReader('Batch comparison completed');
+            if (batchDownloadBtn) batchDownloadBtn.classList.remove('hidden');
+        } catch (error) {
+            if (!error.cancelled) {
+                this.showError(error.message);
+                Logger.error('Batch comparison error:', error);
+            }
+        } finally {
+            // The worker now holds the last batch pair; the single comparison reloads its own files
+            this.workerClient.forget('original');
+            this.workerClient.forget('modified');
+            this.setComparisonRunning(false);
+            this.showProgress(false);
+            if (batchCompareBtn) batchCompareBtn.disabled = this.batchPairs.length === 0;
         }
-
-        this.comparisonResult = {
-            differences: differences,
-            totalDifferences: differences.length,
-            sheetsCompared: sheetNames.length,
-            originalFile: this.originalFile.name,
-            modifiedFile: this.modifiedFile.name,
-            comparisonDate: new Date().toISOString()
-        };
     }
 
-    valuesAreDifferent(originalValue, modifiedValue) {
-        if (originalValue === modifiedValue) {
-            return false;
+    renderBatchDashboard() {
+        const batchDashboard = document.getElementById('batchDashboard');
+        if (!batchDashboard) return;
+        if (this.batchRuns.length === 0) {
+            batchDashboard.innerHTML = '';
+            return;
         }
 
-        const originalNumeric = this.getNumericValue(originalValue, false);
-        const modifiedNumeric = this.getNumericValue(modifiedValue, false);
+        const outcomes = this.batchRuns.map(run => (run.result ? BatchComparison.getOutcome(run.result) : 'error'));
+        const count = (outcome) => outcomes.filter(value => value === outcome).length;
+        const outcomeLabels = { pass: 'Pass', fail: 'Differences', error: 'Error' };
+
+        batchDashboard.innerHTML = `
+            <div class="results-grid">
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(this.batchRuns.length)} / ${Utils.formatNumber(this.batchPairs.length)}</div>
+                    <div class="stat-label">Pairs Compared</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(count('pass'))}</div>
+                    <div class="stat-label">Identical</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(count('fail'))}</div>
+                    <div class="stat-label">With Differences</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(count('error'))}</div>
+                    <div class="stat-label">Failed</div>
+                </div>
+            </div>
+            <div class="three-way-table-wrapper">
+                <table class="three-way-table">
+                    <thead>
+                        <tr><th>Result</th><th>Original</th><th>Modified</th><th>Differences</th><th>Rows Added</th><th>Rows Removed</th><th>Schema Changes</th><th>Format Changes</th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.batchRuns.map((run, index) => `
+                        <tr class="batch-${outcomes[index]}">
+                            <td>${outcomeLabels[outcomes[index]]}</td>
+                            <td>${Utils.sanitizeHTML(run.original)}</td>
+                            <td>${Utils.sanitizeHTML(run.modified)}</td>
+                            ${run.result ? `
+                            <td>${Utils.formatNumber(run.result.totalDifferences)}</td>
+                            <td>${Utils.formatNumber(run.result.rowsAdded)}</td>
+                            <td>${Utils.formatNumber(run.result.rowsRemoved)}</td>
+                            <td>${Utils.formatNumber(run.result.schemaChanges.length + run.result.sheetChanges.length)}</td>
+                            <td>${Utils.formatNumber(run.result.formatChanges.length)}</td>` : `
+                            <td colspan="5">${Utils.sanitizeHTML(run.error)}</td>`}
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // One report per compared pair in the chosen download format, plus a summary CSV of the batch
+    downloadBatchReports() {
+        try {
+            const format = EXPORT_FORMATS[this.outputFormat];
+            const baseName = (name) => Utils.sanitizeFilename(name.replace(/\.[^.]+$/, ''));
+            const reportNames = this.batchRuns.map((run, index) => (run.result
+                ? `${String(index + 1).padStart(2, '0')}_${baseName(run.original)}_vs_${baseName(run.modified)}.${format.extension}`
+                : ''));
+
+            const entries = [];
+            this.batchRuns.forEach((run, index) => {
+                if (!run.result) return;
+                entries.push({
+                    path: reportNames[index],
+                    content: this.outputFormat === 'xlsx'
+                        ? run.report
+                        : ReportExporter.export(this.outputFormat, run.result, {
+                            application: 'Excel File Comparison Tool',
+                            version: CONFIG.APP_VERSION,
+                            files: { original: { name: run.original }, modified: { name: run.modified } }
+                        })
+                });
+            });
+            entries.push({
+                path: 'batch_summary.csv',
+                content: BatchComparison.toSummaryCSV(this.batchRuns.map((run, index) => ({ ...run, report: reportNames[index] })))
+            });
 
-        if (originalNumeric !== null && modifiedNumeric !== null) {
-            return Math.abs(originalNumeric - modifiedNumeric) > CONFIG.NUMERIC_EPSILON;
+            const zip = BatchComparison.createZip(entries);
+            Utils.downloadBlob(new Blob([zip], { type: 'application/zip' }), `batch_comparison_${Utils.getCurrentDateString()}.zip`);
+            this.showStatus(`${entries.length - 1} report(s) downloaded as a zip`, 'success');
+            this.announceToScreenReader('Batch reports downloaded');
+        } catch (error) {
+            this.showError(`Download failed: ${error.message}`);
+            Logger.error('Batch download error:', error);
         }
+    }
 
-        const originalPercent = this.extractPercentageValue(originalValue);
-        const modifiedPercent = this.extractPercentageValue(modifiedValue);
-
-        if (originalPercent !== null && modifiedPercent !== null) {
-            return Math.abs(originalPercent - modifiedPercent) > CONFIG.NUMERIC_EPSILON;
-        }
+    setupPatch() {
+        const workbookInput = document.getElementById('patchWorkbookFile');
+        const patchInput = document.getElementById('patchFile');
+        const applyPatchBtn = document.getElementById('applyPatchBtn');
+        if (!workbookInput || !patchInput || !applyPatchBtn) return;
 
-        return String(originalValue).trim() !== String(modifiedValue).trim();
+        const updateApplyButton = () => {
+            applyPatchBtn.disabled = workbookInput.files.length === 0 || patchInput.files.length === 0;
+        };
+        workbookInput.addEventListener('change', updateApplyButton);
+        patchInput.addEventListener('change', updateApplyButton);
+        applyPatchBtn.addEventListener('click', () => this.applyPatch(workbookInput.files[0], patchInput.files[0]));
     }
 
-    extractPercentageValue(value) {
-        if (typeof value === 'number' && value >= 0 && value <= 1) {
-            return value * 100;
+    // The worker refuses the patch unless the workbook's hash is the one the patch was made from
+    async applyPatch(workbookFile, patchFile) {
+        const applyPatchBtn = document.getElementById('applyPatchBtn');
+        const patchStatus = document.getElementById('patchStatus');
+        const setStatus = (text) => {
+            if (patchStatus) patchStatus.textContent = text;
+        };
+
+        const validation = this.validateFile(workbookFile);
+        if (!validation.isValid) {
+            setStatus(validation.message);
+            return;
         }
 
-        if (typeof value === 'string' && value.trim().endsWith('%')) {
-            const percentStr = value.trim().slice(0, -1);
-            if (!isNaN(percentStr)) {
-                return parseFloat(percentStr);
+        applyPatchBtn.disabled = true;
+        setStatus('Applying patch...');
+        try {
+            const patch = WorkbookPatch.parse(new TextDecoder().decode(await this.readFileBuffer(patchFile)));
+            const buffer = await this.readFileBuffer(workbookFile);
+            const sha256 = await Utils.hashBuffer(buffer);
+            if (!sha256) {
+                throw new Error('Checking a patch needs Web Crypto, which is only available when the page is served over HTTPS');
             }
-        }
 
-        return null;
+            const { workbook } = await this.workerClient.request('applyPatch', { name: workbookFile.name, buffer, sha256, patch });
+            const baseName = Utils.sanitizeFilename(workbookFile.name.replace(/\.[^.]+$/, ''));
+            Utils.downloadBlob(new Blob([workbook], { type: EXPORT_FORMATS.xlsx.mimeType }), `${baseName}_patched.xlsx`);
+            setStatus(`Patched workbook downloaded with ${Utils.formatNumber(patch.operations.length)} operation(s) applied`);
+            this.announceToScreenReader('Patched workbook downloaded');
+        } catch (error) {
+            setStatus(`Patch not applied: ${error.message}`);
+            this.announceToScreenReader('Patch not applied');
+            Logger.error('Patch error:', error);
+        } finally {
+            applyPatchBtn.disabled = false;
+        }
     }
 
-    generateReport() {
-        const reportWorkbook = XLSX.utils.book_new();
-        this.createComparisonSheets(reportWorkbook);
-        this.reportWorkbook = reportWorkbook;
+    updateCompareButton() {
+        const compareBtn = document.getElementById('compareBtn');
+        if (!compareBtn) return;
+        
+        const isEnabled = !!(this.originalFile && this.modifiedFile);
+        compareBtn.disabled = !isEnabled;
+        compareBtn.setAttribute('aria-disabled', !isEnabled);
+        
+        if (isEnabled) {
+            this.announceToScreenReader('Both files loaded. Ready to compare.');
+        }
     }
 
-    createComparisonSheets(workbook) {
-        this.originalData.SheetNames.forEach(sheetName => {
-            const originalSheet = this.originalData.Sheets[sheetName];
-            const modifiedSheet = this.modifiedData.Sheets[sheetName];
-            
-            const originalData = XLSX.utils.sheet_to_json(originalSheet, { header: 1, defval: '' });
-            const modifiedData = XLSX.utils.sheet_to_json(modifiedSheet, { header: 1, defval: '' });
-            
-            const comparisonData = this.reportFormat === 'single' 
-                ? this.createComparisonDataSingleCell(originalData, modifiedData, sheetName)
-                : this.createComparisonDataMultiCell(originalData, modifiedData, sheetName);
-            
-            const comparisonSheet = XLSX.utils.aoa_to_sheet(comparisonData);
+    async performComparison() {
+        try {
+            this.setComparisonRunning(true);
+            this.showProgress(true);
+            this.updateProgress(0, 'Preparing comparison...');
+            this.announceToScreenReader('Starting comparison');
             
-            XLSX.utils.book_append_sheet(workbook, comparisonSheet, `${sheetName}_Comparison`);
-        });
-    }
-
-    createComparisonDataSingleCell(originalData, modifiedData, sheetName) {
-        const maxRows = Math.max(originalData.length, modifiedData.length);
-        const maxCols = Math.max(
-            Math.max(...originalData.map(row => row.length)),
-            Math.max(...modifiedData.map(row => row.length))
-        );
-
-        const comparisonData = [];
-        const sheetDifferences = this.differenceMap.get(sheetName) || new Set();
+            this.hideElement('resultsSection');
+            this.hideElement('errorSection');
+            this.diffViewer = null;
+            this.reviewPanel = null;
+            this.hideElement('downloadBtn');
+            this.hideElement('patchBtn');
 
-        comparisonData.push(['COMPARISON LEGEND']);
-        comparisonData.push(['Red Circle = Field name where values have changed']);
-        comparisonData.push(['No symbol = Field name where values are identical']);
-        comparisonData.push(['Format: Single Cell (Original Value, Changed Value, Difference)']);
-        comparisonData.push(['']);
-        comparisonData.push(['Field Name', 'Value Comparison']);
-        comparisonData.push(['']);
+            const options = { ...this.getComparisonOptions(), threeWay: !!this.baseFile };
+            await this.ensureWorkbooksLoaded();
+            if (!this.isComparing) return;
 
-        for (let row = 0; row < maxRows; row++) {
-            const comparisonRow = [];
-            
-            let hasAnyDifference = false;
-            for (let col = 1; col < maxCols; col++) {
-                const originalValue = (originalData[row] && originalData[row][col]) || '';
-                const modifiedValue = (modifiedData[row] && modifiedData[row][col]) || '';
-                
-                if (this.valuesAreDifferent(originalValue, modifiedValue)) {
-                    hasAnyDifference = true;
-                    break;
-                }
+            const { comparisonResult, report } = await this.workerClient.request(
+                'compare',
+                { options, reportFormat: this.reportFormat },
+                (percentage, text) => this.updateProgress(percentage, text)
+            );
+            this.comparisonResult = comparisonResult;
+            this.reportData = report;
+            this.comparisonFiles = {
+                original: this.describeComparedFile('original'),
+                modified: this.describeComparedFile('modified')
+            };
+            if (this.baseFile) {
+                this.comparisonFiles.base = this.describeComparedFile('base');
             }
+            this.saveToHistory(options).catch(error => {
+                Logger.error('Comparison could not be saved to history:', error);
+                this.showStatus(`Comparison could not be saved to history: ${error.message}`, 'warning');
+            });
             
-            for (let col = 0; col < maxCols; col++) {
-                const originalValue = (originalData[row] && originalData[row][col]) || '';
-                const modifiedValue = (modifiedData[row] && modifiedData[row][col]) || '';
-
-                if (col === 0) {
-                    if (hasAnyDifference) {
-                        comparisonRow.push(`[CHANGED] ${originalValue}`);
-                    } else {
-                        comparisonRow.push(originalValue);
-                    }
-                } else {
-                    const originalCellRef = XLSX.utils.encode_cell({ r: row, c: col });
-                    const modifiedCellRef = XLSX.utils.encode_cell({ r: row, c: col });
-                    const originalCellInfo = this.originalData.Sheets[sheetName][originalCellRef];
-                    const modifiedCellInfo = this.modifiedData.Sheets[sheetName][modifiedCellRef];
-                    
-                    const formattedComparison = this.createValueComparisonSingleCell(
-                        originalValue, modifiedValue, 
-                        originalCellInfo, modifiedCellInfo, 
-                        sheetName, originalCellRef
-                    );
-                    comparisonRow.push(formattedComparison);
-                }
-            }
+            this.updateProgress(100, 'Comparison completed!');
+            this.setComparisonRunning(false);
             
-            comparisonData.push(comparisonRow);
-        }
+            setTimeout(() => {
+                this.showProgress(false);
+                this.showResults();
+                this.announceToScreenReader('Comparison completed successfully');
+            }, 1000);
+
+        } catch (error) {
+            this.setComparisonRunning(false);
+            if (error.cancelled) return;
 
-        return comparisonData;
+            this.showProgress(false);
+            this.showError(error.message);
+            this.announceToScreenReader('Comparison failed. Please check the error message.');
+            Logger.error('Comparison error:', error);
+        }
     }
 
-    createComparisonDataMultiCell(originalData, modifiedData, sheetName) {
-        const maxRows = Math.max(originalData.length, modifiedData.length);
-        const maxCols = Math.max(
-            Math.max(...originalData.map(row => row.length)),
-            Math.max(...modifiedData.map(row => row.length))
-        );
+    cancelComparison() {
+        if (!this.isComparing) return;
 
-        const comparisonData = [];
-        const sheetDifferences = this.differenceMap.get(sheetName) || new Set();
+        this.workerClient.cancel();
+        this.setComparisonRunning(false);
+        this.showProgress(false);
+        this.showStatus('Comparison cancelled', 'warning');
+        this.announceToScreenReader('Comparison cancelled');
+    }
 
-        comparisonData.push(['COMPARISON LEGEND']);
-        comparisonData.push(['Red Circle = Field name where values have changed']);
-        comparisonData.push(['No symbol = Field name where values are identical']);
-        comparisonData.push(['Format: Multi Cell (Separate columns for Original, Changed, Difference)']);
-        comparisonData.push(['']);
+    setComparisonRunning(isRunning) {
+        this.isComparing = isRunning;
 
-        const headerRow = ['Field Name'];
-        for (let col = 1; col < maxCols; col++) {
-            headerRow.push('Original Value', 'Changed Value', 'Difference');
-        }
-        comparisonData.push(headerRow);
-        comparisonData.push(['']);
+        const compareBtn = document.getElementById('compareBtn');
+        const cancelBtn = document.getElementById('cancelBtn');
 
-        for (let row = 0; row < maxRows; row++) {
-            const comparisonRow = [];
-            
-            let hasAnyDifference = false;
-            for (let col = 1; col < maxCols; col++) {
-                const originalValue = (originalData[row] && originalData[row][col]) || '';
-                const modifiedValue = (modifiedData[row] && modifiedData[row][col]) || '';
-                
-                if (this.valuesAreDifferent(originalValue, modifiedValue)) {
-                    hasAnyDifference = true;
-                    break;
-                }
-            }
-            
-            for (let col = 0; col < maxCols; col++) {
-                const originalValue = (originalData[row] && originalData[row][col]) || '';
-                const modifiedValue = (modifiedData[row] && modifiedData[row][col]) || '';
-
-                if (col === 0) {
-                    if (hasAnyDifference) {
-                        comparisonRow.push(`[CHANGED] ${originalValue}`);
-                    } else {
-                        comparisonRow.push(originalValue);
-                    }
-                } else {
-                    const originalCellRef = XLSX.utils.encode_cell({ r: row, c: col });
-                    const modifiedCellRef = XLSX.utils.encode_cell({ r: row, c: col });
-                    const originalCellInfo = this.originalData.Sheets[sheetName][originalCellRef];
-                    const modifiedCellInfo = this.modifiedData.Sheets[sheetName][modifiedCellRef];
-                    
-                    const { original, changed, difference } = this.createValueComparisonMultiCell(
-                        originalValue, modifiedValue, 
-                        originalCellInfo, modifiedCellInfo, 
-                        sheetName, originalCellRef
-                    );
-                    
-                    comparisonRow.push(original, changed, difference);
-                }
-            }
-            
-            comparisonData.push(comparisonRow);
+        if (compareBtn) {
+            compareBtn.disabled = isRunning || !(this.originalFile && this.modifiedFile);
+            compareBtn.setAttribute('aria-disabled', compareBtn.disabled);
         }
 
-        return comparisonData;
-    }
-
-    createValueComparisonSingleCell(originalValue, modifiedValue, originalCellInfo, modifiedCellInfo, sheetName, cellRef) {
-        const isOriginalBlank = originalValue === '' || originalValue === null || originalValue === undefined;
-        const isModifiedBlank = modifiedValue === '' || modifiedValue === null || modifiedValue === undefined;
-        
-        if (isOriginalBlank && isModifiedBlank) {
-            return '';
-        }
-        
-        const formattedOriginal = this.formatValue(originalValue, originalCellInfo, sheetName, cellRef);
-        const formattedModified = this.formatValue(modifiedValue, modifiedCellInfo, sheetName, cellRef);
-        
-        const originalIsPercentage = this.isPercentageCell(originalCellInfo, sheetName, cellRef, originalValue) || 
-                                   (typeof formattedOriginal === 'string' && formattedOriginal.includes('%'));
-        const modifiedIsPercentage = this.isPercentageCell(modifiedCellInfo, sheetName, cellRef, modifiedValue) || 
-                                   (typeof formattedModified === 'string' && formattedModified.includes('%'));
-        
-        const originalNumeric = this.getNumericValue(originalValue, originalIsPercentage);
-        const modifiedNumeric = this.getNumericValue(modifiedValue, modifiedIsPercentage);
-        
-        let result = `Original Value: ${formattedOriginal}, Changed Value: ${formattedModified}`;
-        
-        if (originalNumeric !== null && modifiedNumeric !== null) {
-            if (originalIsPercentage && modifiedIsPercentage) {
-                const difference = modifiedNumeric - originalNumeric;
-                const sign = difference > 0 ? '+' : (difference < 0 ? '' : '');
-                const formattedDiff = Utils.formatNumber(Math.abs(difference));
-                
-                if (Math.abs(difference) > CONFIG.NUMERIC_EPSILON) {
-                    result += `, Difference: ${sign}${formattedDiff}%`;
-                } else {
-                    result += `, Difference: 0%`;
-                }
-            } else if (!originalIsPercentage && !modifiedIsPercentage) {
-                const difference = modifiedNumeric - originalNumeric;
-                const sign = difference > 0 ? '+' : (difference < 0 ? '' : '');
-                const formattedDiff = Utils.formatNumber(Math.abs(difference));
-                
-                if (Math.abs(difference) > CONFIG.NUMERIC_EPSILON) {
-                    result += `, Difference: ${sign}${formattedDiff}`;
-                } else {
-                    result += `, Difference: 0`;
-                }
-            } else {
-                result += `, Difference: N/A (type mismatch)`;
-            }
-        } else {
-            result += `, Difference: N/A (non-numeric)`;
+        if (cancelBtn) {
+            cancelBtn.classList.toggle('hidden', !isRunning);
         }
-        
-        return result;
     }
 
-    createValueComparisonMultiCell(originalValue, modifiedValue, originalCellInfo, modifiedCellInfo, sheetName, cellRef) {
-        const isOriginalBlank = originalValue === '' || originalValue === null || originalValue === undefined;
-        const isModifiedBlank = modifiedValue === '' || modifiedValue === null || modifiedValue === undefined;
-        
-        if (isOriginalBlank && isModifiedBlank) {
-            return { original: '', changed: '', difference: '' };
-        }
-        
-        const formattedOriginal = this.formatValue(originalValue, originalCellInfo, sheetName, cellRef);
-        const formattedModified = this.formatValue(modifiedValue, modifiedCellInfo, sheetName, cellRef);
-        
-        const originalIsPercentage = this.isPercentageCell(originalCellInfo, sheetName, cellRef, originalValue) || 
-                                   (typeof formattedOriginal === 'string' && formattedOriginal.includes('%'));
-        const modifiedIsPercentage = this.isPercentageCell(modifiedCellInfo, sheetName, cellRef, modifiedValue) || 
-                                   (typeof formattedModified === 'string' && formattedModified.includes('%'));
-        
-        const originalNumeric = this.getNumericValue(originalValue, originalIsPercentage);
-        const modifiedNumeric = this.getNumericValue(modifiedValue, modifiedIsPercentage);
-        
-        let differenceText = '';
-        
-        if (originalNumeric !== null && modifiedNumeric !== null) {
-            if (originalIsPercentage && modifiedIsPercentage) {
-                const difference = modifiedNumeric - originalNumeric;
-                const sign = difference > 0 ? '+' : (difference < 0 ? '' : '');
-                const formattedDiff = Utils.formatNumber(Math.abs(difference));
-                
-                if (Math.abs(difference) > CONFIG.NUMERIC_EPSILON) {
-                    differenceText = `${sign}${formattedDiff}%`;
-                } else {
-                    differenceText = '0%';
-                }
-            } else if (!originalIsPercentage && !modifiedIsPercentage) {
-                const difference = modifiedNumeric - originalNumeric;
-                const sign = difference > 0 ? '+' : (difference < 0 ? '' : '');
-                const formattedDiff = Utils.formatNumber(Math.abs(difference));
-                
-                if (Math.abs(difference) > CONFIG.NUMERIC_EPSILON) {
-                    differenceText = `${sign}${formattedDiff}`;
-                } else {
-                    differenceText = '0';
-                }
-            } else {
-                differenceText = 'N/A (type mismatch)';
-            }
-        } else {
-            differenceText = 'N/A (non-numeric)';
-        }
-        
+    getComparisonOptions() {
+        const keyColumnsInput = document.getElementById('keyColumns');
+        const keyColumnsValue = keyColumnsInput ? keyColumnsInput.value : '';
+        const alignRowsInput = document.getElementById('alignRows');
+        const matchColumnsInput = document.getElementById('matchColumnsByHeader');
+        const renamedColumnsInput = document.getElementById('detectRenamedColumns');
+        const compareFormulasInput = document.getElementById('compareFormulas');
+        const compareFormattingInput = document.getElementById('compareFormatting');
+        const ignoreCaseInput = document.getElementById('ignoreCase');
+        const collapseWhitespaceInput = document.getElementById('collapseWhitespace');
+        const ignoreTimeInput = document.getElementById('ignoreTimeOfDay');
+
         return {
-            original: formattedOriginal,
-            changed: formattedModified,
-            difference: differenceText
+            keyColumns: keyColumnsValue
+                .split(/[+,]/)
+                .map(column => column.trim())
+                .filter(column => column !== ''),
+            alignRows: alignRowsInput ? alignRowsInput.checked : true,
+            matchColumnsByHeader: matchColumnsInput ? matchColumnsInput.checked : true,
+            detectRenamedColumns: renamedColumnsInput ? renamedColumnsInput.checked : true,
+            compareFormulas: compareFormulasInput ? compareFormulasInput.checked : false,
+            compareFormatting: compareFormattingInput ? compareFormattingInput.checked : true,
+            ignoreCase: ignoreCaseInput ? ignoreCaseInput.checked : false,
+            collapseWhitespace: collapseWhitespaceInput ? collapseWhitespaceInput.checked : false,
+            ignoreTimeOfDay: ignoreTimeInput ? ignoreTimeInput.checked : false,
+            dateFormats: this.getDateFormats(),
+            columnRules: this.getColumnRules(),
+            sheetMapping: this.getSheetPairs()
         };
     }
 
-    getNumericValue(value, isPercentage) {
-        if (typeof value === 'number') {
-            return isPercentage ? value * 100 : value;
-        }
-        
-        if (typeof value === 'string' && value.trim() !== '') {
-            const trimmedValue = value.trim();
-            
-            if (trimmedValue.endsWith('%')) {
-                const percentValue = trimmedValue.slice(0, -1);
-                if (!isNaN(percentValue)) {
-                    return parseFloat(percentValue);
-                }
-            }
-            
-            const cleanValue = trimmedValue.replace(/,/g, '');
-            if (!isNaN(cleanValue)) {
-                return parseFloat(cleanValue);
-            }
-        }
-        
-        return null;
-    }
-
-    formatValue(value, originalCell = null, sheetName = null, cellRef = null) {
-        if (this.isPercentageCell(originalCell, sheetName, cellRef, value)) {
-            const percentValue = Math.abs(Number((value * 100).toFixed(2)));
-            const sign = value < 0 ? '-' : '';
-            return sign + Utils.formatNumber(percentValue) + '%';
-        }
-        
-        if (typeof value === 'number') {
-            return Utils.formatNumber(value);
-        }
-        
-        if (typeof value === 'string' && value.trim() !== '') {
-            const trimmedValue = value.trim();
-            
-            if (trimmedValue.endsWith('%')) {
-                const percentValue = trimmedValue.slice(0, -1);
-                if (!isNaN(percentValue)) {
-                    const numValue = parseFloat(percentValue);
-                    return Utils.formatNumber(Math.abs(numValue)) + '%';
-                }
-            }
-            
-            if (!isNaN(trimmedValue)) {
-                const numValue = parseFloat(trimmedValue);
-                return Utils.formatNumber(numValue);
-            }
-        }
-        
-        return value;
-    }
-
-    isPercentageCell(originalCell, sheetName, cellRef, value) {
-        if (originalCell && originalCell.z) {
-            const formatCode = originalCell.z.toLowerCase();
-            if (formatCode.includes('%') || formatCode.includes('percent')) {
-                return true;
-            }
-        }
-        
-        if (sheetName && cellRef && this.originalData) {
-            try {
-                const cellAddress = XLSX.utils.decode_cell(cellRef);
-                const headerRow = 0;
-                const headerCellRef = XLSX.utils.encode_cell({ r: headerRow, c: cellAddress.c });
-                const headerCell = this.originalData.Sheets[sheetName][headerCellRef];
-                
-                if (headerCell && headerCell.v) {
-                    const headerText = headerCell.v.toString().toLowerCase();
-                    if (headerText.includes('%') || headerText.includes('percent') || 
-                        headerText.includes('rate') || headerText.includes('ratio')) {
-                        return true;
-                    }
-                }
-            } catch (error) {
-                Logger.warn('Error checking percentage cell:', error);
-            }
-        }
-        
-        if (typeof value === 'number' && Math.abs(value) <= 1 && Math.abs(value) > 0) {
-            const valueStr = value.toString();
-            const decimalPart = valueStr.split('.')[1];
-            if (decimalPart && decimalPart.length >= 2) {
-                const absValue = Math.abs(value);
-                if (absValue >= 0.001 && absValue <= 1) {
-                    return true;
-                }
-            }
-        }
-        
-        return false;
+    // Checked here so a typo is reported before the files are sent to the worker
+    getDateFormats() {
+        const dateFormatsInput = document.getElementById('dateFormats');
+        const dateFormats = (dateFormatsInput ? dateFormatsInput.value : '')
+            .split(',')
+            .map(format => format.trim())
+            .filter(format => format !== '');
+        dateFormats.forEach(ValueTypes.compileDateFormat);
+        return dateFormats;
     }
 
     getFormattedFilename() {
@@ -949,28 +2429,48 @@ class ExcelComparator {
         const customFilename = filenameInput ? filenameInput.value.trim() : '';
         
         if (customFilename) {
-            return Utils.sanitizeFilename(customFilename);
+            const baseName = (file) => (file ? file.name.replace(/\.[^.]+$/, '') : '');
+            return Utils.sanitizeFilename(customFilename
+                .replace(/\{date\}/gi, Utils.getCurrentDateString())
+                .replace(/\{original\}/gi, baseName(this.originalFile))
+                .replace(/\{modified\}/gi, baseName(this.modifiedFile)));
         }
         
         const dateStr = Utils.getCurrentDateString();
         return `comparison_report_${dateStr}`;
     }
 
+    describeComparedFile(fileType) {
+        const file = this.getFile(fileType);
+        return { name: file.name, size: file.size, sha256: this.fileHashes[fileType] };
+    }
+
+    // Single/Multi Cell only shapes the Excel workbook, so the choice is disabled for other formats
+    setOutputFormat(format) {
+        this.outputFormat = Object.keys(EXPORT_FORMATS).includes(format) ? format : 'xlsx';
+        const outputFormatSelect = document.getElementById('outputFormat');
+        if (outputFormatSelect) {
+            outputFormatSelect.value = this.outputFormat;
+        }
+        document.querySelectorAll('input[name="reportFormat"]').forEach(radio => {
+            radio.disabled = this.outputFormat !== 'xlsx';
+        });
+    }
+
+    // The Excel workbook was built with the comparison; the text formats are written from its result
     downloadReport() {
         try {
             const filename = this.getFormattedFilename();
-            const wbout = XLSX.write(this.reportWorkbook, { bookType: 'xlsx', type: 'binary' });
-            
-            const blob = new Blob([this.s2ab(wbout)], { type: 'application/octet-stream' });
-            
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${filename}.xlsx`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            window.URL.revokeObjectURL(url);
+            const format = EXPORT_FORMATS[this.outputFormat];
+            const content = this.outputFormat === 'xlsx'
+                ? this.reportData
+                : ReportExporter.export(this.outputFormat, this.comparisonResult, {
+                    application: 'Excel File Comparison Tool',
+                    version: CONFIG.APP_VERSION,
+                    files: this.comparisonFiles
+                });
+            const blob = new Blob([content], { type: format.mimeType });
+            Utils.downloadBlob(blob, `${filename}.${format.extension}`);
             
             this.showStatus('Report downloaded successfully!', 'success');
             this.announceToScreenReader('Report downloaded successfully');
@@ -981,21 +2481,38 @@ class ExcelComparator {
         }
     }
 
-    s2ab(s) {
-        const buf = new ArrayBuffer(s.length);
-        const view = new Uint8Array(buf);
-        for (let i = 0; i < s.length; i++) {
-            view[i] = s.charCodeAt(i) & 0xFF;
+    // The patch is made where the compared workbooks are loaded, so it needs the comparison on screen
+    async downloadPatch() {
+        const patchBtn = document.getElementById('patchBtn');
+        if (patchBtn) patchBtn.disabled = true;
+        try {
+            const { patch } = await this.workerClient.request('patch', { files: this.comparisonFiles });
+            const baseName = (name) => Utils.sanitizeFilename(name.replace(/\.[^.]+$/, ''));
+            const blob = new Blob([JSON.stringify(patch, null, 2)], { type: 'application/json' });
+            Utils.downloadBlob(blob, `${baseName(this.comparisonResult.originalFile)}_to_${baseName(this.comparisonResult.modifiedFile)}.patch.json`);
+
+            this.showStatus(`Patch downloaded with ${Utils.formatNumber(patch.operations.length)} operation(s)`, 'success');
+            this.announceToScreenReader('Patch downloaded');
+        } catch (error) {
+            this.showError(`Patch failed: ${error.message}`);
+            this.announceToScreenReader('Patch failed');
+            Logger.error('Patch error:', error);
+        } finally {
+            if (patchBtn) patchBtn.disabled = false;
         }
-        return buf;
     }
 
-    showResults() {
+    showResults({ fromHistory = false } = {}) {
         const resultsSection = document.getElementById('resultsSection');
         if (!resultsSection) return;
+
+        if (this.comparisonResult.threeWay) {
+            this.showThreeWayResults(resultsSection);
+            return;
+        }
         
-        const sanitizedOriginalFile = Utils.sanitizeHTML(this.originalFile.name);
-        const sanitizedModifiedFile = Utils.sanitizeHTML(this.modifiedFile.name);
+        const sanitizedOriginalFile = Utils.sanitizeHTML(this.comparisonResult.originalFile);
+        const sanitizedModifiedFile = Utils.sanitizeHTML(this.comparisonResult.modifiedFile);
         
         resultsSection.innerHTML = `
             <h3 id="results-heading">
@@ -1019,15 +2536,273 @@ class ExcelComparator {
                     <div class="stat-value" title="${sanitizedModifiedFile}">${sanitizedModifiedFile}</div>
                     <div class="stat-label">Modified File</div>
                 </div>
+                ${this.comparisonResult.rowMatching !== 'position' ? `
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(this.comparisonResult.rowsAdded)}</div>
+                    <div class="stat-label">Rows Added</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(this.comparisonResult.rowsRemoved)}</div>
+                    <div class="stat-label">Rows Removed</div>
+                </div>` : ''}
+                ${this.comparisonResult.rowMatching === 'key' ? `
+                <div class="stat-card filename-card">
+                    <div class="stat-value">${Utils.sanitizeHTML(this.comparisonResult.keyColumns.join(' + '))}</div>
+                    <div class="stat-label">Key Columns</div>
+                </div>` : ''}
+                ${this.comparisonResult.compareFormulas ? `
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(this.comparisonResult.formulaChanges)}</div>
+                    <div class="stat-label">Formula Changes</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(this.comparisonResult.formulaConversions)}</div>
+                    <div class="stat-label">Formula &harr; Constant</div>
+                </div>` : ''}
+                ${this.comparisonResult.compareFormatting ? `
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(this.comparisonResult.formatChanges.length)}</div>
+                    <div class="stat-label">Formatting Changes</div>
+                </div>` : ''}
             </div>
+            ${this.renderWarnings()}
+            ${this.renderSchemaChanges()}
+            ${this.renderRowChanges()}
+            ${this.renderFormulaChanges()}
+            ${this.renderFormatChanges()}
+            ${fromHistory ? `
+            <div class="change-list">
+                <h4>Saved Comparison</h4>
+                <p class="form-hint">Opened from history (${Utils.sanitizeHTML(new Date(this.comparisonResult.comparisonDate).toLocaleString())}) | Run the comparison again to browse cells in the viewer or review changes</p>
+            </div>` : `
+            <div id="diffViewer" class="diff-viewer" role="region" aria-labelledby="viewer-heading"></div>
+            ${this.comparisonResult.differences.length > 0 ? '<div id="reviewPanel" class="diff-viewer review-panel" role="region" aria-labelledby="review-heading"></div>' : ''}`}
         `;
         
         resultsSection.classList.remove('hidden');
-        
+
+        const downloadBtn = document.getElementById('downloadBtn');
+        if (downloadBtn) {
+            downloadBtn.classList.remove('hidden');
+        }
+        const patchBtn = document.getElementById('patchBtn');
+        if (patchBtn) {
+            patchBtn.classList.toggle('hidden', fromHistory);
+        }
+
+        if (fromHistory) {
+            this.diffViewer = null;
+            this.reviewPanel = null;
+            return;
+        }
+
+        this.diffViewer = new DiffViewer(
+            document.getElementById('diffViewer'),
+            this.workerClient,
+            this.comparisonResult,
+            (message) => this.announceToScreenReader(message)
+        );
+        this.diffViewer.render();
+
+        const reviewContainer = document.getElementById('reviewPanel');
+        this.reviewPanel = reviewContainer ? new ReviewPanel(
+            reviewContainer,
+            this.workerClient,
+            this.comparisonResult,
+            (message) => this.announceToScreenReader(message)
+        ) : null;
+        if (this.reviewPanel) {
+            this.reviewPanel.render();
+        }
+    }
+
+    // Three-way results have no cell viewer; the changes are listed with the conflicts first
+    showThreeWayResults(resultsSection) {
+        const result = this.comparisonResult;
+        const fileCard = (name, label) => `
+                <div class="stat-card filename-card">
+                    <div class="stat-value" title="${Utils.sanitizeHTML(name)}">${Utils.sanitizeHTML(name)}</div>
+                    <div class="stat-label">${label}</div>
+                </div>`;
+
+        resultsSection.innerHTML = `
+            <h3 id="results-heading">
+                <span aria-hidden="true">&#128202;</span>
+                Three-Way Comparison Results
+            </h3>
+            <div class="results-grid">
+                ${Object.keys(THREE_WAY_STATUSES).map(status => `
+                <div class="stat-card three-way-${status}">
+                    <div class="stat-value">${Utils.formatNumber(result.counts[status])}</div>
+                    <div class="stat-label">${THREE_WAY_STATUSES[status]}</div>
+                </div>`).join('')}
+                <div class="stat-card">
+                    <div class="stat-value">${Utils.formatNumber(result.sheetsCompared)}</div>
+                    <div class="stat-label">Sheets Compared</div>
+                </div>
+                ${fileCard(result.baseFile, 'Base File')}
+                ${fileCard(result.originalFile, 'Version A')}
+                ${fileCard(result.modifiedFile, 'Version B')}
+            </div>
+            ${this.renderWarnings()}
+            ${this.renderThreeWaySchemaChanges()}
+            ${this.renderThreeWayChanges()}
+        `;
+
+        resultsSection.classList.remove('hidden');
+
         const downloadBtn = document.getElementById('downloadBtn');
         if (downloadBtn) {
             downloadBtn.classList.remove('hidden');
         }
+        this.hideElement('patchBtn');
+        this.diffViewer = null;
+        this.reviewPanel = null;
+    }
+
+    renderThreeWaySchemaChanges() {
+        const { schemaChanges, sheetChanges } = this.comparisonResult;
+        if (schemaChanges.length === 0 && sheetChanges.length === 0) return '';
+
+        return `
+            <div class="change-list">
+                <h4>Schema Changes</h4>
+                <ul>
+                    ${sheetChanges.map(change => `
+                        <li>${Utils.sanitizeHTML(`${change.side.toUpperCase()}: ${ComparisonEngine.describeSheetChange(change)}`)}</li>
+                    `).join('')}
+                    ${schemaChanges.map(change => `
+                        <li>${Utils.sanitizeHTML(`${change.side.toUpperCase()}: ${change.sheet}: ${ComparisonEngine.describeSchemaChange(change)}`)}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    renderThreeWayChanges() {
+        const changes = ReportExporter.listThreeWayChanges(this.comparisonResult);
+        if (changes.length === 0) {
+            return '<div class="change-list"><h4>Changes</h4><p class="form-hint">No differences found</p></div>';
+        }
+
+        const ordered = Object.keys(THREE_WAY_STATUSES).flatMap(status => changes.filter(change => change.status === status));
+        const visibleChanges = ordered.slice(0, CONFIG.MAX_LISTED_ROW_CHANGES);
+        const hiddenCount = ordered.length - visibleChanges.length;
+        const cell = (value) => `<td>${Utils.sanitizeHTML(ReportExporter.formatValue(value))}</td>`;
+
+        return `
+            <div class="change-list">
+                <h4>Changes</h4>
+                <div class="three-way-table-wrapper">
+                    <table class="three-way-table">
+                        <thead>
+                            <tr><th>Status</th><th>Sheet</th><th>Location</th><th>Key</th><th>Column</th><th>Base</th><th>A</th><th>B</th><th>Note</th></tr>
+                        </thead>
+                        <tbody>
+                            ${visibleChanges.map(change => `
+                            <tr class="three-way-${change.status}">
+                                ${cell(THREE_WAY_STATUSES[change.status])}${cell(change.sheet)}${cell(change.location)}${cell(change.key)}
+                                ${cell(change.column)}${cell(change.baseValue)}${cell(change.aValue)}${cell(change.bValue)}${cell(change.description)}
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${hiddenCount > 0 ? `<p class="form-hint">...and ${Utils.formatNumber(hiddenCount)} more in the report</p>` : ''}
+            </div>
+        `;
+    }
+
+    renderWarnings() {
+        const warnings = this.comparisonResult.warnings;
+        if (warnings.length === 0) return '';
+
+        return `
+            <div class="change-list">
+                <h4>Notes</h4>
+                <ul>
+                    ${warnings.map(warning => `<li>${Utils.sanitizeHTML(warning)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    renderSchemaChanges() {
+        const { schemaChanges, sheetChanges } = this.comparisonResult;
+        if (schemaChanges.length === 0 && sheetChanges.length === 0) return '';
+
+        return `
+            <div class="change-list">
+                <h4>Schema Changes</h4>
+                <ul>
+                    ${sheetChanges.map(change => `
+                        <li>${Utils.sanitizeHTML(ComparisonEngine.describeSheetChange(change))}</li>
+                    `).join('')}
+                    ${schemaChanges.map(change => `
+                        <li>${Utils.sanitizeHTML(`${change.sheet}: ${ComparisonEngine.describeSchemaChange(change)}`)}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    renderRowChanges() {
+        const rowChanges = this.comparisonResult.rowChanges;
+        if (rowChanges.length === 0) return '';
+
+        const visibleChanges = rowChanges.slice(0, CONFIG.MAX_LISTED_ROW_CHANGES);
+        const hiddenCount = rowChanges.length - visibleChanges.length;
+
+        return `
+            <div class="change-list">
+                <h4>Row Changes</h4>
+                <ul>
+                    ${visibleChanges.map(change => `
+                        <li>${Utils.sanitizeHTML(`${change.sheet}: ${ComparisonEngine.describeRowChange(change)}`)}</li>
+                    `).join('')}
+                </ul>
+                ${hiddenCount > 0 ? `<p class="form-hint">...and ${Utils.formatNumber(hiddenCount)} more in the report</p>` : ''}
+            </div>
+        `;
+    }
+
+    renderFormulaChanges() {
+        const formulaChanges = this.comparisonResult.differences.filter(difference => difference.changeType !== 'value');
+        if (formulaChanges.length === 0) return '';
+
+        const visibleChanges = formulaChanges.slice(0, CONFIG.MAX_LISTED_ROW_CHANGES);
+        const hiddenCount = formulaChanges.length - visibleChanges.length;
+
+        return `
+            <div class="change-list">
+                <h4>Formula Changes</h4>
+                <ul>
+                    ${visibleChanges.map(difference => `
+                        <li>${Utils.sanitizeHTML(`${difference.sheet}!${difference.cellRef}: ${ComparisonEngine.describeFormulaChange(difference)}`)}</li>
+                    `).join('')}
+                </ul>
+                ${hiddenCount > 0 ? `<p class="form-hint">...and ${Utils.formatNumber(hiddenCount)} more in the report</p>` : ''}
+            </div>
+        `;
+    }
+
+    renderFormatChanges() {
+        const formatChanges = this.comparisonResult.formatChanges;
+        if (formatChanges.length === 0) return '';
+
+        const visibleChanges = formatChanges.slice(0, CONFIG.MAX_LISTED_ROW_CHANGES);
+        const hiddenCount = formatChanges.length - visibleChanges.length;
+
+        return `
+            <div class="change-list">
+                <h4>Structure and Formatting</h4>
+                <ul>
+                    ${visibleChanges.map(change => `
+                        <li>${Utils.sanitizeHTML(`${change.sheet}: ${ComparisonEngine.describeFormatChange(change)}`)}</li>
+                    `).join('')}
+                </ul>
+                ${hiddenCount > 0 ? `<p class="form-hint">...and ${Utils.formatNumber(hiddenCount)} more in the report</p>` : ''}
+            </div>
+        `;
     }
 
     showProgress(show) {
@@ -1101,8 +2876,8 @@ class ExcelComparator {
                 <p>${formattedMessage}</p>
                 <p><strong>Please check:</strong></p>
                 <ul>
-                    <li>Both files are valid Excel files (.xlsx or .xls)</li>
-                    <li>Files have identical structure (same sheets, columns, and row count)</li>
+                    <li>Both files are valid spreadsheets (.xlsx, .xls, .ods, .csv or .tsv)</li>
+                    <li>At least one sheet is mapped between the two files</li>
                     <li>Files are not corrupted or password protected</li>
                     <li>File sizes are under 50MB</li>
                 </ul>
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Command line interface for Excel File Comparison Tool
+ * Version: 4.0.0
+ * Description: Compares two spreadsheets (or both against a base) with the same engine as the
+ * page and writes the report or a patch, and applies patches. Exits 0 when nothing differs (or a
+ * patch was applied), 1 when differences were found and 2 when the command could not run.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ComparisonSession, ReportExporter, BatchComparison, WorkbookPatch, EXPORT_FORMATS } = require('../comparison-engine.js');
+const { version } = require('../package.json');
+
+const EXIT_CODES = { same: 0, different: 1, error: 2 };
+
+const USAGE = `Usage: efct compare <original> <modified> [options]
+       efct apply <workbook> <patch> --output <file>
+
+Options:
+  -k, --key <columns>         Key columns that match rows, e.g. ID or "Region+ID" (repeatable)
+  -b, --base <file>           Common base of both files, for a three-way comparison
+  -f, --format <format>       xlsx, json, csv, html, markdown or patch (default: from --output, else json)
+  -o, --output <file>         Write the report or the patched workbook to a file instead of standard output
+  -r, --report <layout>       Workbook layout: single or multi (default: single)
+      --date-format <format>  Format of dates stored as text, e.g. dd/mm/yyyy (repeatable)
+      --formulas              Compare formulas as well as values
+      --no-formatting         Skip number format, comment and hyperlink changes
+      --ignore-case           Ignore upper and lower case in text
+      --collapse-whitespace   Treat runs of spaces and line breaks as one space
+      --ignore-time           Compare dates without their time of day
+      --by-position           Match rows by position instead of detecting inserted and deleted rows
+  -q, --quiet                 Do not print the summary
+  -h, --help                  Show this help
+  -v, --version               Show the version
+
+A patch (--format patch) lists the changes that turn the original into the modified workbook;
+apply writes the workbook with a patch applied, and refuses a workbook the patch was not made from.
+
+Exit codes: 0 no differences or patch applied, 1 differences found, 2 error`;
+
+const OPTIONS = {
+    key: { type: 'string', short: 'k', multiple: true },
+    base: { type: 'string', short: 'b' },
+    format: { type: 'string', short: 'f' },
+    output: { type: 'string', short: 'o' },
+    report: { type: 'string', short: 'r', default: 'single' },
+    'date-format': { type: 'string', multiple: true },
+    formulas: { type: 'boolean', default: false },
+    'no-formatting': { type: 'boolean', default: false },
+    'ignore-case': { type: 'boolean', default: false },
+    'collapse-whitespace': { type: 'boolean', default: false },
+    'ignore-time': { type: 'boolean', default: false },
+    'by-position': { type: 'boolean', default: false },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    version: { type: 'boolean', short: 'v', default: false }
+};
+
+// An explicit --format wins; otherwise the output file's extension decides
+function getOutputFormat(format, output) {
+    if (format) {
+        const name = format.toLowerCase() === 'md' ? 'markdown' : format.toLowerCase();
+        if (name === 'patch') return name;
+        if (!EXPORT_FORMATS[name]) {
+            throw new Error(`Unknown format "${format}"; use ${Object.keys(EXPORT_FORMATS).join(', ')} or patch`);
+        }
+        return name;
+    }
+    if (output) {
+        const extension = path.extname(output).slice(1).toLowerCase();
+        const match = Object.keys(EXPORT_FORMATS).find(name => EXPORT_FORMATS[name].extension === extension);
+        if (match) return match;
+    }
+    return 'json';
+}
+
+function readInput(filePath) {
+    let data;
+    try {
+        data = fs.readFileSync(filePath);
+    } catch (error) {
+        throw new Error(`Cannot read ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+    return {
+        name: path.basename(filePath),
+        data,
+        size: data.length,
+        sha256: crypto.createHash('sha256').update(data).digest('hex')
+    };
+}
+
+function describeResult(result) {
+    const parts = [`${result.totalDifferences} cell difference(s)`];
+    if (result.threeWay) {
+        parts.push(`${result.conflicts} conflict(s)`);
+    }
+    parts.push(`${result.rowsAdded} row(s) added`, `${result.rowsRemoved} row(s) removed`);
+    const schemaChanges = result.schemaChanges.length + result.sheetChanges.length;
+    if (schemaChanges > 0) {
+        parts.push(`${schemaChanges} column or sheet change(s)`);
+    }
+    if (result.compareFormatting && result.formatChanges.length > 0) {
+        parts.push(`${result.formatChanges.length} formatting change(s)`);
+    }
+    const files = result.threeWay
+        ? `${result.originalFile} and ${result.modifiedFile} against ${result.baseFile}`
+        : `${result.originalFile} vs ${result.modifiedFile}`;
+    return `${files}: ${parts.join(', ')}`;
+}
+
+function compare(positionals, values, io) {
+    if (positionals.length !== 2) {
+        throw new Error('compare needs an original and a modified file');
+    }
+    if (!['single', 'multi'].includes(values.report)) {
+        throw new Error(`Unknown report layout "${values.report}"; use single or multi`);
+    }
+
+    const outputFormat = getOutputFormat(values.format, values.output);
+    if (outputFormat === 'xlsx' && !values.output) {
+        throw new Error('The xlsx format needs --output');
+    }
+
+    const files = {
+        original: readInput(positionals[0]),
+        modified: readInput(positionals[1])
+    };
+    if (values.base) {
+        files.base = readInput(values.base);
+    }
+
+    const options = {
+        keyColumns: (values.key || [])
+            .flatMap(value => value.split(/[+,]/))
+            .map(column => column.trim())
+            .filter(column => column !== ''),
+        alignRows: !values['by-position'],
+        compareFormulas: values.formulas,
+        compareFormatting: !values['no-formatting'],
+        ignoreCase: values['ignore-case'],
+        collapseWhitespace: values['collapse-whitespace'],
+        ignoreTimeOfDay: values['ignore-time'],
+        dateFormats: values['date-format'] || []
+    };
+
+    if (outputFormat === 'patch' && files.base) {
+        throw new Error('A patch is made from a two-file comparison; leave out --base');
+    }
+
+    const { comparisonResult, report, session } = ComparisonSession.compareFiles(files, options, values.report);
+    const describeFile = ({ name, size, sha256 }) => ({ name, size, sha256 });
+    const describedFiles = Object.fromEntries(Object.entries(files).map(([slot, file]) => [slot, describeFile(file)]));
+    let content;
+    if (outputFormat === 'xlsx') {
+        content = Buffer.from(report);
+    } else if (outputFormat === 'patch') {
+        const { patch } = session.request({ type: 'patch', files: describedFiles });
+        content = `${JSON.stringify(patch, null, 2)}\n`;
+    } else {
+        content = ReportExporter.export(outputFormat, comparisonResult, {
+            application: 'Excel File Comparison Tool',
+            version,
+            files: describedFiles
+        });
+    }
+
+    if (values.output) {
+        fs.writeFileSync(values.output, content);
+    } else {
+        io.stdout.write(content);
+    }
+    if (!values.quiet) {
+        io.stderr.write(`${describeResult(comparisonResult)}\n`);
+    }
+
+    return BatchComparison.getOutcome(comparisonResult) === 'pass' ? EXIT_CODES.same : EXIT_CODES.different;
+}
+
+function apply(positionals, values, io) {
+    if (positionals.length !== 2) {
+        throw new Error('apply needs a workbook and a patch file');
+    }
+    if (!values.output) {
+        throw new Error('apply needs --output for the patched workbook');
+    }
+
+    const workbook = readInput(positionals[0]);
+    const patchFile = readInput(positionals[1]);
+    const patch = WorkbookPatch.parse(patchFile.data.toString('utf8'));
+    const { workbook: patched } = new ComparisonSession().request({
+        type: 'applyPatch',
+        name: workbook.name,
+        buffer: workbook.data,
+        sha256: workbook.sha256,
+        patch
+    });
+
+    fs.writeFileSync(values.output, Buffer.from(patched));
+    if (!values.quiet) {
+        io.stderr.write(`${patchFile.name}: ${patch.operations.length} operation(s) applied to ${workbook.name}\n`);
+    }
+    return EXIT_CODES.same;
+}
+
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        if (values.version) {
+            io.stdout.write(`${version}\n`);
+            return EXIT_CODES.same;
+        }
+        const [command, ...files] = positionals;
+        if (values.help || !command) {
+            io.stdout.write(`${USAGE}\n`);
+            return values.help ? EXIT_CODES.same : EXIT_CODES.error;
+        }
+        if (command === 'apply') {
+            return apply(files, values, io);
+        }
+        if (command !== 'compare') {
+            throw new Error(`Unknown command "${command}"`);
+        }
+        return compare(files, values, io);
+    } catch (error) {
+        io.stderr.write(`efct: ${error.message}\n`);
+        return EXIT_CODES.error;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, EXIT_CODES };
@@ -0,0 +1,4155 @@
+'use strict';
+
+/**
+ * Comparison Engine for Excel File Comparison Tool
+ * Version: 4.0.0
+ * Description: DOM-free workbook parsing, diffing and report building.
+ * Runs inside comparison-worker.js, on the page when Web Workers are unavailable, or in Node
+ * (bin/efct.js and the tests) as a CommonJS module.
+ */
+
+// Pages and the worker load SheetJS as a global; Node takes it from the xlsx-js-style package
+if (typeof XLSX === 'undefined' && typeof require === 'function') {
+    globalThis.XLSX = require('xlsx-js-style');
+}
+
+// Engine Configuration Constants
+const ENGINE_CONFIG = {
+    NUMERIC_EPSILON: 0.000001,
+    MAX_ROW_ALIGNMENT_EDITS: 2000,
+    ROW_SIMILARITY_THRESHOLD: 0.5,
+    ROW_SIMILARITY_WINDOW: 20,
+    COLUMN_RENAME_SIMILARITY: 0.6,
+    PROGRESS_INTERVAL_ROWS: 500,
+    MIN_COLUMN_WIDTH: 8,
+    MAX_COLUMN_WIDTH: 60,
+    MARKDOWN_MAX_CHANGES: 50,
+    PREVIEW_ROWS: 6,
+    PREVIEW_COLUMNS: 8
+};
+
+// Fill and font colours of highlighted report cells (Excel's light red, green and grey presets;
+// blue and yellow mark the A and B sides of a three-way comparison)
+const REPORT_HIGHLIGHTS = {
+    changed: { fill: 'FFC7CE', font: '9C0006' },
+    added: { fill: 'C6EFCE', font: '006100' },
+    removed: { fill: 'D9D9D9', font: '595959' },
+    header: { fill: 'DDEBF7', font: '1F3864' },
+    onlyA: { fill: 'BDD7EE', font: '1F4E78' },
+    onlyB: { fill: 'FFE699', font: '7F6000' }
+};
+
+// Three-way change statuses in report order, and the REPORT_HIGHLIGHTS entry of each
+const THREE_WAY_STATUSES = {
+    conflict: 'Conflict',
+    a: 'Changed only in A',
+    b: 'Changed only in B',
+    both: 'Changed identically in both'
+};
+const THREE_WAY_HIGHLIGHTS = { conflict: 'changed', a: 'onlyA', b: 'onlyB', both: 'added' };
+
+// Download formats; xlsx is the workbook from generateReport, the others come from ReportExporter
+const EXPORT_FORMATS = {
+    xlsx: { extension: 'xlsx', mimeType: 'application/octet-stream' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    html: { extension: 'html', mimeType: 'text/html;charset=utf-8' },
+    markdown: { extension: 'md', mimeType: 'text/markdown;charset=utf-8' }
+};
+
+// Options of a comparison started without the page, as the page's controls start out
+const DEFAULT_COMPARISON_OPTIONS = Object.freeze({
+    keyColumns: [],
+    alignRows: true,
+    matchColumnsByHeader: true,
+    detectRenamedColumns: true,
+    compareFormulas: false,
+    compareFormatting: true,
+    ignoreCase: false,
+    collapseWhitespace: false,
+    ignoreTimeOfDay: false,
+    dateFormats: [],
+    columnRules: [],
+    sheetMapping: null
+});
+
+// Rule for columns without one of their own. tolerance is an absolute amount, or a percentage
+// of the original value when relativeTolerance is set, in days for date columns. valueType
+// overrides the type read from each cell (see ValueTypes); null keeps the cell's own.
+const DEFAULT_COLUMN_RULE = Object.freeze({
+    ignore: false,
+    tolerance: 0,
+    relativeTolerance: false,
+    ignoreCase: false,
+    collapseWhitespace: false,
+    ignoreTime: false,
+    valueType: null
+});
+
+const ComparisonUtils = {
+    formatNumber: (num) => {
+        const rounded = Number(num.toFixed(2));
+        const parts = rounded.toString().split('.');
+        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        return parts.join('.');
+    }
+};
+
+// Error values of cells read without their cached text, by SheetJS error code
+const CELL_ERRORS = {
+    0x00: '#NULL!', 0x07: '#DIV/0!', 0x0F: '#VALUE!', 0x17: '#REF!',
+    0x1D: '#NAME?', 0x24: '#NUM!', 0x2A: '#N/A', 0x2B: '#GETTING_DATA'
+};
+
+/**
+ * Cell value types. A cell's type comes from its SheetJS type (.t) and number format (.z):
+ * 0.25 formatted as 0% is a percent, 45292 formatted as d-mmm-yy a date. Values are compared
+ * as numbers when both sides read as one, and formatted and differenced per type.
+ */
+const ValueTypes = {
+    TYPES: ['number', 'percent', 'currency', 'date', 'boolean', 'text', 'error'],
+    NUMERIC: ['number', 'percent', 'currency', 'date'],
+    // Types a column rule can force; errors only ever come from the cell itself
+    OVERRIDES: ['number', 'percent', 'currency', 'date', 'boolean', 'text'],
+    NUMBER_PATTERN: /^([-+]?)[$€£¥₹]?\s*(\d[\d,]*(?:\.\d*)?|\.\d+)(?:e([-+]?\d+))?\s*(%?)$/i,
+    BOOLEAN_TEXT: { true: true, yes: true, y: true, false: false, no: false, n: false },
+    MONTH_NAMES: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    // Any text date may carry a time: 2024-01-05 14:30, 05/01/2024 2:30:15 PM, 2024-01-05T14:30
+    TIME_PATTERN: '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}(?:\\.\\d+)?))?\\s*([ap]m)?)?',
+    // ISO dates are always read; further formats come from the comparison options
+    ISO_DATE_FORMAT: 'yyyy-mm-dd',
+    EXCEL_EPOCH: Date.UTC(1899, 11, 30),
+    MS_PER_DAY: 86400000,
+
+    detect: (cell, value) => {
+        if (cell) {
+            if (cell.t === 'b') return 'boolean';
+            if (cell.t === 'e') return 'error';
+            if (cell.t === 'd') return 'date';
+            if (cell.t === 'n') return ValueTypes.fromFormat(cell.z);
+            if (cell.t === 's') return 'text';
+        }
+        if (value instanceof Date) return 'date';
+        if (typeof value === 'number') return 'number';
+        if (typeof value === 'boolean') return 'boolean';
+        return 'text';
+    },
+
+    fromFormat: (format) => {
+        if (!format || format === 'General') return 'number';
+        const code = String(format);
+        if (XLSX.SSF.is_date(code)) return 'date';
+        // [$-409] is a locale tag, [$€-407] a currency; quoted text and \x escapes are literals
+        const withoutLocale = code.replace(/\[\$-[0-9A-Fa-f]+\]/g, '');
+        if (withoutLocale.replace(/"[^"]*"|\\.|[_*]./g, '').includes('%')) return 'percent';
+        if (/[$€£¥₹]/.test(withoutLocale)) return 'currency';
+        return 'number';
+    },
+
+    // Numbers typed as text ("1,200", "25%", "$9.99") count as numbers unless the type rules it out
+    toNumber: (value, type) => {
+        if (type === 'boolean' || type === 'error') return null;
+        if (typeof value === 'number') return value;
+        if (value instanceof Date) return ValueTypes.fromDate(value);
+        if (typeof value !== 'string') return null;
+
+        const match = ValueTypes.NUMBER_PATTERN.exec(value.trim());
+        if (!match) return null;
+        const number = parseFloat(`${match[1]}${match[2].replace(/,/g, '')}${match[3] ? `e${match[3]}` : ''}`);
+        return match[4] ? number / 100 : number;
+    },
+
+    // Workbooks read with cellDates hold local-time Date objects; serials count days since 1899-12-30
+    fromDate: (date) => (date.getTime() - date.getTimezoneOffset() * 60000 - ValueTypes.EXCEL_EPOCH) / ValueTypes.MS_PER_DAY,
+
+    compileDateFormats: (formats = []) => {
+        const unique = [ValueTypes.ISO_DATE_FORMAT, ...formats.map(format => String(format).trim().toLowerCase())]
+            .filter((format, index, all) => format !== '' && all.indexOf(format) === index);
+        return unique.map(ValueTypes.compileDateFormat);
+    },
+
+    // "dd/mm/yyyy" matches 05/01/2024 and 5/1/2024; mmm is a month name (Jan, January)
+    compileDateFormat: (format) => {
+        const fields = [];
+        const invalid = new Error(`"${format}" is not a date format such as dd/mm/yyyy`);
+        const source = String(format).trim().toLowerCase().replace(/yyyy|yy|mmm|mm?|dd?|./g, token => {
+            switch (token) {
+                case 'yyyy': fields.push('year'); return '(\\d{4})';
+                case 'yy': fields.push('shortYear'); return '(\\d{2})';
+                case 'mmm': fields.push('monthName'); return '([a-z]{3,9})';
+                case 'mm': case 'm': fields.push('month'); return '(\\d{1,2})';
+                case 'dd': case 'd': fields.push('day'); return '(\\d{1,2})';
+                default:
+                    if (/[a-z0-9]/.test(token)) throw invalid;
+                    return token.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            }
+        });
+
+        const has = (field) => fields.filter(name => name === field).length;
+        if (has('year') + has('shortYear') !== 1 || has('month') + has('monthName') !== 1 || has('day') !== 1) {
+            throw invalid;
+        }
+        return { format, fields, pattern: new RegExp(`^${source}${ValueTypes.TIME_PATTERN}$`, 'i') };
+    },
+
+    parseDate: (text, dateFormats) => {
+        const trimmed = text.trim();
+        if (trimmed.length > 40 || !/\d/.test(trimmed)) return null;
+
+        for (const { fields, pattern } of dateFormats) {
+            const match = pattern.exec(trimmed);
+            if (!match) continue;
+
+            const parts = {};
+            fields.forEach((field, index) => {
+                parts[field] = match[index + 1];
+            });
+            // Two-digit years follow Excel: 00-29 are 2000-2029, 30-99 are 1930-1999
+            const shortYear = Number(parts.shortYear);
+            const year = parts.year ? Number(parts.year) : shortYear + (shortYear < 30 ? 2000 : 1900);
+            const month = parts.monthName
+                ? ValueTypes.MONTH_NAMES.indexOf(parts.monthName.substring(0, 3).toLowerCase()) + 1
+                : Number(parts.month);
+            const day = Number(parts.day);
+            const date = new Date(Date.UTC(year, month - 1, day));
+            if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) continue;
+
+            const [hourText, minuteText, secondText, meridiem] = match.slice(fields.length + 1);
+            let hours = Number(hourText || 0);
+            const minutes = Number(minuteText || 0);
+            const seconds = Number(secondText || 0);
+            if (meridiem) {
+                if (hours < 1 || hours > 12) continue;
+                hours = hours % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+            }
+            if (hours > 23 || minutes > 59 || seconds >= 60) continue;
+
+            return (date.getTime() - ValueTypes.EXCEL_EPOCH) / ValueTypes.MS_PER_DAY + (hours * 3600 + minutes * 60 + seconds) / 86400;
+        }
+        return null;
+    },
+
+    // 31 → "31 days", 0.09375 → "2h 15m", 1.125 → "1 day 3h"
+    formatDuration: (days) => {
+        const totalSeconds = Math.round(Math.abs(days) * 86400);
+        const wholeDays = Math.floor(totalSeconds / 86400);
+        const parts = [];
+        if (wholeDays > 0) parts.push(`${ComparisonUtils.formatNumber(wholeDays)} ${wholeDays === 1 ? 'day' : 'days'}`);
+        [[Math.floor(totalSeconds % 86400 / 3600), 'h'], [Math.floor(totalSeconds % 3600 / 60), 'm'], [totalSeconds % 60, 's']]
+            .forEach(([amount, unit]) => {
+                if (amount > 0) parts.push(`${amount}${unit}`);
+            });
+        return parts.join(' ') || '0 days';
+    },
+
+    toBoolean: (value) => {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value !== 0;
+        const text = String(value).trim().toLowerCase();
+        return Object.prototype.hasOwnProperty.call(ValueTypes.BOOLEAN_TEXT, text) ? ValueTypes.BOOLEAN_TEXT[text] : null;
+    },
+
+    toText: (value, type) => {
+        if (type === 'boolean') {
+            const flag = ValueTypes.toBoolean(value);
+            if (flag !== null) return flag ? 'TRUE' : 'FALSE';
+        }
+        return String(value);
+    },
+
+    // Two types can be differenced when they match, or when one side is a number typed as text
+    commonType: (originalType, modifiedType) => {
+        if (originalType === modifiedType) return originalType;
+        if (originalType === 'text' && ValueTypes.NUMERIC.includes(modifiedType)) return modifiedType;
+        if (modifiedType === 'text' && ValueTypes.NUMERIC.includes(originalType)) return originalType;
+        return null;
+    },
+
+    // Text is shown as typed; numbers use the cell's own format when it matches the type
+    format: (value, type, cell = null) => {
+        if (value === '' || value === null || value === undefined) return '';
+        if (value instanceof Date) value = ValueTypes.fromDate(value);
+        if (type === 'boolean' || type === 'error' || typeof value !== 'number') {
+            return ValueTypes.toText(value, type);
+        }
+
+        const cellFormat = cell && cell.z && ValueTypes.fromFormat(cell.z) === type ? String(cell.z) : null;
+        switch (type) {
+            case 'percent':
+                return `${value < 0 ? '-' : ''}${ComparisonUtils.formatNumber(Math.abs(value * 100))}%`;
+            case 'currency':
+                return cellFormat ? XLSX.SSF.format(cellFormat, value) : ComparisonUtils.formatNumber(value);
+            case 'date':
+                return XLSX.SSF.format(cellFormat || (value % 1 === 0 ? 'yyyy-mm-dd' : 'yyyy-mm-dd hh:mm:ss'), value);
+            default:
+                return ComparisonUtils.formatNumber(value);
+        }
+    },
+
+    // delta is modified minus original: percentage points for percents, a duration for dates
+    formatDifference: (delta, type, cell = null) => {
+        const size = Math.abs(delta) > ENGINE_CONFIG.NUMERIC_EPSILON ? Math.abs(delta) : 0;
+        const sign = size === 0 ? '' : (delta > 0 ? '+' : '-');
+        switch (type) {
+            case 'percent':
+                return `${sign}${ComparisonUtils.formatNumber(size * 100)} pp`;
+            case 'currency':
+                return `${sign}${cell && cell.z && ValueTypes.fromFormat(cell.z) === 'currency'
+                    ? XLSX.SSF.format(String(cell.z), size)
+                    : ComparisonUtils.formatNumber(size)}`;
+            case 'date':
+                return `${sign}${ValueTypes.formatDuration(size)}`;
+            default:
+                return `${sign}${ComparisonUtils.formatNumber(size)}`;
+        }
+    }
+};
+
+const ENCRYPTED_FILE_MESSAGE = 'Encrypted files are not supported for comparison.\nPlease copy the content into a new blank file, save it, and try again.';
+
+const TEXT_DELIMITERS = [',', ';', '\t', '|'];
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+const DELIMITER_SAMPLE_LINES = 20;
+
+const WorkbookReader = {
+    read: (data, fileName = '') => {
+        const extension = WorkbookReader.getExtension(fileName);
+        if (extension === 'csv' || extension === 'tsv') {
+            return WorkbookReader.readText(data, fileName, extension);
+        }
+
+        if (WorkbookReader.isEncryptedFile(data)) {
+            throw new Error(ENCRYPTED_FILE_MESSAGE);
+        }
+
+        let workbook;
+        try {
+            // cellStyles keeps number formats and hidden rows/columns for the formatting comparison
+            workbook = XLSX.read(data, { type: 'array', cellNF: true, cellStyles: true });
+        } catch (error) {
+            if (error.message && (
+                error.message.toLowerCase().includes('password') ||
+                error.message.toLowerCase().includes('encrypted') ||
+                error.message.toLowerCase().includes('protected') ||
+                error.message.toLowerCase().includes('corrupt') ||
+                error.message.includes('Unsupported file')
+            )) {
+                throw new Error(ENCRYPTED_FILE_MESSAGE);
+            }
+            throw new Error(`Failed to parse Excel file: ${error.message}`);
+        }
+
+        if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+            throw new Error(ENCRYPTED_FILE_MESSAGE);
+        }
+
+        workbook.sourceFormat = { type: extension || 'xlsx', isText: false };
+        return workbook;
+    },
+
+    getExtension: (fileName) => {
+        const match = /\.([^.]+)$/.exec(fileName || '');
+        return match ? match[1].toLowerCase() : '';
+    },
+
+    // CSV and TSV files become a one-sheet workbook named after the file. Plain numbers are
+    // stored as numbers so they compare like spreadsheet cells; anything else (leading-zero
+    // codes, dates, percentages) stays text.
+    readText: (data, fileName, extension) => {
+        const { text, encoding } = WorkbookReader.decodeText(data);
+        const delimiter = extension === 'tsv' ? '\t' : WorkbookReader.detectDelimiter(text);
+        const rows = WorkbookReader.parseDelimited(text, delimiter);
+
+        if (rows.every(row => row.every(field => field.trim() === ''))) {
+            throw new Error('The file contains no data');
+        }
+
+        // The rows stay where they are in the file; the comparison decides whether the first one is a
+        // header (see countTextHeaderRows), so cell references match the file's line numbers
+        const hasHeader = WorkbookReader.detectHeaderRow(rows[0]);
+        const values = rows.map(row => row.map(field => WorkbookReader.parseTextValue(field)));
+
+        const baseName = fileName.replace(/\.[^.]+$/, '').replace(/[\\/?*[\]:]/g, '_').substring(0, 31).trim();
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(values), baseName || 'Sheet1');
+        workbook.sourceFormat = { type: extension, isText: true, encoding, delimiter, hasHeader };
+        return workbook;
+    },
+
+    // A byte order mark decides the encoding; otherwise UTF-8 is tried strictly and
+    // Windows-1252 (what Excel writes for "CSV" on Western systems) is the fallback.
+    decodeText: (data) => {
+        if (data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(data.subarray(3)), encoding: 'UTF-8' };
+        }
+        if (data[0] === 0xFF && data[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(data.subarray(2)), encoding: 'UTF-16LE' };
+        }
+        if (data[0] === 0xFE && data[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(data.subarray(2)), encoding: 'UTF-16BE' };
+        }
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(data), encoding: 'UTF-8' };
+        } catch (error) {
+            return { text: new TextDecoder('windows-1252').decode(data), encoding: 'Windows-1252' };
+        }
+    },
+
+    // Picks the candidate that splits the first lines into the same number of fields most
+    // often, preferring more fields on a tie
+    detectDelimiter: (text) => {
+        const lines = text.split(/\r\n|\n|\r/)
+            .filter(line => line.trim() !== '')
+            .slice(0, DELIMITER_SAMPLE_LINES);
+        let best = { delimiter: ',', score: 0 };
+
+        TEXT_DELIMITERS.forEach(delimiter => {
+            const counts = lines.map(line => WorkbookReader.countDelimiters(line, delimiter));
+            if (counts.length === 0 || counts[0] === 0) return;
+            const consistentLines = counts.filter(count => count === counts[0]).length;
+            const score = consistentLines * 1000 + counts[0];
+            if (score > best.score) {
+                best = { delimiter, score };
+            }
+        });
+
+        return best.delimiter;
+    },
+
+    countDelimiters: (line, delimiter) => {
+        let count = 0;
+        let inQuotes = false;
+        for (const char of line) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (char === delimiter && !inQuotes) {
+                count++;
+            }
+        }
+        return count;
+    },
+
+    // RFC 4180: quoted fields may contain delimiters, line breaks and doubled quotes
+    parseDelimited: (text, delimiter) => {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let fieldStart = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"') {
+                    field += text.slice(fieldStart, i);
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                    fieldStart = i + 1;
+                }
+            } else if (char === '"' && field === '' && i === fieldStart) {
+                inQuotes = true;
+                fieldStart = i + 1;
+            } else if (char === delimiter || char === '\n' || char === '\r') {
+                row.push(field + text.slice(fieldStart, i));
+                field = '';
+                if (char !== delimiter) {
+                    rows.push(row);
+                    row = [];
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                }
+                fieldStart = i + 1;
+            }
+        }
+
+        if (fieldStart < text.length || field !== '' || row.length > 0) {
+            row.push(field + text.slice(fieldStart));
+            rows.push(row);
+        }
+
+        return rows;
+    },
+
+    // The first row is a header when its populated fields are distinct, non-numeric labels
+    detectHeaderRow: (row) => {
+        const labels = row.map(field => field.trim()).filter(label => label !== '');
+        if (labels.length === 0) return false;
+        if (labels.some(label => typeof WorkbookReader.parseTextValue(label) === 'number')) return false;
+        return new Set(labels.map(label => label.toLowerCase())).size === labels.length;
+    },
+
+    // Header rows for the text files of one comparison: one when every text file's first row looks
+    // like a header, otherwise none, so a header detected on one side only does not shift the rows
+    countTextHeaderRows: (workbooks) => (workbooks
+        .filter(workbook => workbook && workbook.sourceFormat && workbook.sourceFormat.isText)
+        .every(workbook => workbook.sourceFormat.hasHeader) ? 1 : 0),
+
+    parseTextValue: (field) => {
+        const trimmed = field.trim();
+        if (trimmed === '') return null;
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed) && !/^[-+]?0\d/.test(trimmed)) {
+            return Number(trimmed);
+        }
+        return field;
+    },
+
+    describeSourceFormat: (sourceFormat) => {
+        if (!sourceFormat) return '';
+        const type = sourceFormat.type.toUpperCase();
+        if (!sourceFormat.isText) return type;
+        const header = sourceFormat.hasHeader ? 'header row detected' : 'no header row, columns numbered';
+        return `${type}, ${sourceFormat.encoding}, ${DELIMITER_NAMES[sourceFormat.delimiter]}-delimited, ${header}`;
+    },
+
+    isEncryptedFile: (data) => {
+        try {
+            if (data.length >= 8) {
+                const oleSignature = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+                let isOLE = true;
+                for (let i = 0; i < 8; i++) {
+                    if (data[i] !== oleSignature[i]) {
+                        isOLE = false;
+                        break;
+                    }
+                }
+                
+                if (isOLE) {
+                    const dataStr = Array.from(data.slice(0, Math.min(1024, data.length)))
+                        .map(byte => String.fromCharCode(byte))
+                        .join('');
+                    
+                    if (dataStr.includes('EncryptionInfo') || 
+                        dataStr.includes('EncryptedPackage') ||
+                        dataStr.includes('Microsoft.Container.EncryptionTransform')) {
+                        return true;
+                    }
+                }
+            }
+            
+            if (data.length >= 4) {
+                const zipSignature = [0x50, 0x4B, 0x03, 0x04];
+                let isZip = true;
+                for (let i = 0; i < 4; i++) {
+                    if (data[i] !== zipSignature[i]) {
+                        isZip = false;
+                        break;
+                    }
+                }
+                
+                if (isZip) {
+                    // Entry names sit in the local headers and again in the central directory at the
+                    // end, which lists every entry even when the workbook part comes late in the file
+                    const dataStr = [data.slice(0, Math.min(2048, data.length)), data.slice(Math.max(0, data.length - 65536))]
+                        .map(bytes => Array.from(bytes).map(byte => String.fromCharCode(byte)).join(''))
+                        .join('');
+                    
+                    if (dataStr.includes('EncryptionInfo') || 
+                        dataStr.includes('EncryptedPackage') ||
+                        (!dataStr.includes('xl/workbook.xml') && !dataStr.includes('application/vnd.oasis.opendocument'))) {
+                        return true;
+                    }
+                }
+            }
+            
+            return false;
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+const EMPTY_ROW = Object.freeze([]);
+
+/**
+ * Cell values of one worksheet, read in a single pass over its populated cells.
+ * Rows and columns are numbered from the top-left of the sheet range, like sheet_to_json;
+ * rows[r] is a sparse array, so empty rows and cells cost nothing. Formula text and the cell
+ * objects themselves (including cells that only hold a comment or hyperlink) are kept the
+ * same way in formulas[r] and cells[r]. An optional cellRange ("B5:K200") limits the data to
+ * that block, which then starts at row and column 0. Row 0 is the header: with
+ * headerRowCount > 1 the first rows are joined into it ("Q1 / Jan") and data rows follow; with
+ * headerRowCount 0 (a text file without one) it holds "Column 1", "Column 2"... and every sheet
+ * row is data.
+ */
+class SheetData {
+    constructor(worksheet, cellRange = null, headerRowCount = 1) {
+        this.worksheet = worksheet || {};
+        this.rows = [];
+        this.formulas = [];
+        this.cells = [];
+        this.rowCount = 0;
+        this.colCount = 0;
+        this.origin = { r: 0, c: 0 };
+        this.range = null;
+        this.headerRowCount = headerRowCount;
+
+        if (!this.worksheet['!ref']) return;
+
+        const range = XLSX.utils.decode_range(cellRange || this.worksheet['!ref']);
+        this.origin = range.s;
+        this.range = range;
+        const headerParts = headerRowCount > 1 ? [] : null;
+
+        Object.keys(this.worksheet).forEach(address => {
+            if (address[0] === '!') return;
+
+            const cell = this.worksheet[address];
+            if (!cell) return;
+
+            // Error cells keep their error text, so a formula that starts failing shows as a change
+            const hasValue = cell.t !== 'z' && cell.v !== undefined && cell.v !== null;
+            const hasFormula = typeof cell.f === 'string' && cell.f !== '';
+            const hasAnnotation = !!(cell.c || cell.l);
+            if (!hasValue && !hasFormula && !hasAnnotation) return;
+
+            const { r, c } = XLSX.utils.decode_cell(address);
+            if (r < range.s.r || r > range.e.r || c < range.s.c || c > range.e.c) return;
+
+            const col = c - range.s.c;
+            let row = r - range.s.r;
+            if (headerParts && row < headerRowCount) {
+                if (hasValue) {
+                    (headerParts[col] = headerParts[col] || [])[row] = SheetData.getCellValue(cell);
+                }
+                // The last header row's cells stand for the header; its text is joined below
+                if (row < headerRowCount - 1) return;
+                row = 0;
+            } else if (headerRowCount !== 1) {
+                row -= headerRowCount - 1;
+            }
+
+            if (!this.cells[row]) {
+                this.cells[row] = [];
+            }
+            this.cells[row][col] = cell;
+            if (!hasValue && !hasFormula) return;
+
+            if (hasValue) {
+                if (!this.rows[row]) {
+                    this.rows[row] = [];
+                }
+                this.rows[row][col] = SheetData.getCellValue(cell);
+            }
+            if (hasFormula) {
+                if (!this.formulas[row]) {
+                    this.formulas[row] = [];
+                }
+                this.formulas[row][col] = cell.f;
+            }
+            if (row >= this.rowCount) this.rowCount = row + 1;
+            if (col >= this.colCount) this.colCount = col + 1;
+        });
+
+        if (headerParts) {
+            this.joinHeaderRows(headerParts);
+        } else if (headerRowCount === 0) {
+            this.rows[0] = Array.from({ length: this.colCount }, (_, col) => `Column ${col + 1}`);
+            if (this.rowCount === 0) this.rowCount = 1;
+        }
+    }
+
+    static getCellValue(cell) {
+        return cell.t === 'e' ? (cell.w || CELL_ERRORS[cell.v] || '#ERROR!') : cell.v;
+    }
+
+    // A merged header cell ("Q1" across three month columns) applies to every column it spans
+    joinHeaderRows(headerParts) {
+        const { s, e } = this.range;
+        (this.worksheet['!merges'] || []).forEach(merge => {
+            const headerRow = merge.s.r - s.r;
+            const value = headerRow >= 0 && headerRow < this.headerRowCount && headerParts[merge.s.c - s.c]
+                ? headerParts[merge.s.c - s.c][headerRow]
+                : undefined;
+            if (value === undefined) return;
+
+            for (let c = Math.max(merge.s.c, s.c); c <= Math.min(merge.e.c, e.c); c++) {
+                const col = c - s.c;
+                for (let row = headerRow; row <= Math.min(merge.e.r - s.r, this.headerRowCount - 1); row++) {
+                    (headerParts[col] = headerParts[col] || [])[row] = value;
+                }
+            }
+        });
+
+        this.rows[0] = [];
+        headerParts.forEach((parts, col) => {
+            const texts = parts
+                .map(part => (part === undefined ? '' : String(part).trim()))
+                .filter((text, index, all) => text !== '' && text !== all[index - 1]);
+            if (texts.length === 0) return;
+            this.rows[0][col] = texts.join(' / ');
+            if (col >= this.colCount) this.colCount = col + 1;
+        });
+        if (this.rowCount === 0) this.rowCount = 1;
+    }
+
+    getRow(row) {
+        return row === null ? EMPTY_ROW : (this.rows[row] || EMPTY_ROW);
+    }
+
+    getFormulaRow(row) {
+        return row === null ? EMPTY_ROW : (this.formulas[row] || EMPTY_ROW);
+    }
+
+    getCellRow(row) {
+        return row === null ? EMPTY_ROW : (this.cells[row] || EMPTY_ROW);
+    }
+
+    isRowHidden(row) {
+        const rowInfo = (this.worksheet['!rows'] || [])[this.toSheetRow(row)];
+        return !!(rowInfo && rowInfo.hidden);
+    }
+
+    isColumnHidden(col) {
+        const colInfo = (this.worksheet['!cols'] || [])[col + this.origin.c];
+        return !!(colInfo && colInfo.hidden);
+    }
+
+    // Merged ranges inside the compared range, in sheet coordinates like rows and columns
+    getMerges() {
+        if (!this.range) return [];
+        const { s, e } = this.range;
+        return (this.worksheet['!merges'] || [])
+            .filter(merge => merge.s.r >= s.r && merge.e.r <= e.r && merge.s.c >= s.c && merge.e.c <= e.c)
+            .map(merge => ({
+                s: { r: this.fromSheetRow(merge.s.r), c: merge.s.c - this.origin.c },
+                e: { r: this.fromSheetRow(merge.e.r), c: merge.e.c - this.origin.c },
+                ref: XLSX.utils.encode_range(merge)
+            }));
+    }
+
+    // Worksheet row (0-based) of a data row; row 0 is the first header row, or the first row
+    // of a sheet without one
+    toSheetRow(row) {
+        return row + this.origin.r + (row > 0 ? this.headerRowCount - 1 : 0);
+    }
+
+    fromSheetRow(sheetRow) {
+        const row = sheetRow - this.origin.r;
+        return row < this.headerRowCount ? 0 : row - this.headerRowCount + 1;
+    }
+
+    // 1-based row number in the worksheet, as Excel shows it
+    getSheetRowNumber(row) {
+        return this.toSheetRow(row) + 1;
+    }
+
+    encodeCell(row, col) {
+        if (row === null || col === null) return null;
+        return XLSX.utils.encode_cell({ r: this.toSheetRow(row), c: col + this.origin.c });
+    }
+
+    getCell(row, col) {
+        if (row === null || col === null) return null;
+        return this.getCellRow(row)[col] || null;
+    }
+}
+
+class ComparisonEngine {
+    constructor(originalData, modifiedData, options, fileNames) {
+        this.originalData = originalData;
+        this.modifiedData = modifiedData;
+        this.comparisonOptions = options;
+        this.fileNames = fileNames;
+        this.comparisonResult = null;
+        this.textHeaderRows = WorkbookReader.countTextHeaderRows([originalData, modifiedData]);
+        // One entry per compared sheet pair: { sheet, modifiedSheet, original, modified, columnPairs, rowPairs }.
+        // Every row pair carries its cell differences, so report writers and views never diff again.
+        this.sheetDiffs = [];
+        this.reportFormat = 'single';
+        this.warnings = [];
+        this.columnRules = (options.columnRules || []).map(rule => ({
+            column: String(rule.column).trim(),
+            ignore: !!rule.ignore,
+            tolerance: Math.abs(Number(rule.tolerance)) || 0,
+            relativeTolerance: !!rule.relativeTolerance,
+            ignoreCase: !!rule.ignoreCase,
+            collapseWhitespace: !!rule.collapseWhitespace,
+            ignoreTime: !!rule.ignoreTime,
+            valueType: ValueTypes.OVERRIDES.includes(rule.valueType) ? rule.valueType : null
+        }));
+        this.matchedColumnRules = new Set();
+        this.dateFormats = ValueTypes.compileDateFormats(options.dateFormats);
+    }
+
+    warn(message) {
+        if (!this.warnings.includes(message)) {
+            this.warnings.push(message);
+        }
+    }
+
+    static pairSheets(originalSheets, modifiedSheets, sheetMapping = null) {
+        const sheetPairs = [];
+        const pairedModified = new Set();
+
+        // Chosen pairs may reuse a sheet, e.g. two ranges of one tab or two tabs of the same file
+        if (sheetMapping) {
+            sheetMapping.forEach(({ original, modified, range, headerRows, labelColumn }) => {
+                if (!original || !modified) return;
+                if (!originalSheets.includes(original)) {
+                    throw new Error(`Sheet "${original}" was not found in the original file`);
+                }
+                if (!modifiedSheets.includes(modified)) {
+                    throw new Error(`Sheet "${modified}" was not found in the modified file`);
+                }
+                pairedModified.add(modified);
+                sheetPairs.push({
+                    original,
+                    modified,
+                    range: ComparisonEngine.normalizeRange(range),
+                    headerRows: ComparisonEngine.normalizeHeaderRows(headerRows),
+                    labelColumn: ComparisonEngine.normalizeColumn(labelColumn)
+                });
+            });
+        } else {
+            const findModified = (matches) => modifiedSheets.find(name => !pairedModified.has(name) && matches(name));
+
+            // Exact names first, then names that differ only in case or surrounding spaces
+            const exactPairs = new Map();
+            originalSheets.forEach(original => {
+                const modified = findModified(name => name === original);
+                if (modified) {
+                    exactPairs.set(original, modified);
+                    pairedModified.add(modified);
+                }
+            });
+            originalSheets.forEach(original => {
+                let modified = exactPairs.get(original);
+                if (!modified) {
+                    modified = findModified(name => name.trim().toLowerCase() === original.trim().toLowerCase());
+                    if (!modified) return;
+                    pairedModified.add(modified);
+                }
+                sheetPairs.push({ original, modified, range: null, headerRows: null, labelColumn: null });
+            });
+
+            // Single-sheet files (such as a CSV against a one-sheet workbook) pair whatever their names
+            if (sheetPairs.length === 0 && originalSheets.length === 1 && modifiedSheets.length === 1) {
+                sheetPairs.push({ original: originalSheets[0], modified: modifiedSheets[0], range: null, headerRows: null, labelColumn: null });
+                pairedModified.add(modifiedSheets[0]);
+            }
+        }
+
+        // A sheet left out of the pairs only counts as added or removed when the other file has no sheet of that name
+        const pairedOriginal = new Set(sheetPairs.map(pair => pair.original));
+
+        return {
+            sheetPairs,
+            originalOnly: originalSheets.filter(name => !pairedOriginal.has(name) && !modifiedSheets.includes(name)),
+            modifiedOnly: modifiedSheets.filter(name => !pairedModified.has(name) && !originalSheets.includes(name))
+        };
+    }
+
+    // "b5:k200" becomes "B5:K200" (corners in either order, $ signs allowed); blank means the whole sheet
+    static normalizeRange(range) {
+        const text = String(range || '').trim().toUpperCase().replace(/\$/g, '');
+        if (text === '') return null;
+        if (!/^[A-Z]{1,3}[1-9]\d*(:[A-Z]{1,3}[1-9]\d*)?$/.test(text)) {
+            throw new Error(`"${range}" is not a cell range such as B5:K200`);
+        }
+
+        const [start, end = start] = text.split(':').map(cellRef => XLSX.utils.decode_cell(cellRef));
+        return XLSX.utils.encode_range({
+            s: { r: Math.min(start.r, end.r), c: Math.min(start.c, end.c) },
+            e: { r: Math.max(start.r, end.r), c: Math.max(start.c, end.c) }
+        });
+    }
+
+    // "5" or "5-6" (1-based worksheet rows); blank means the first row of the compared range
+    static normalizeHeaderRows(headerRows) {
+        if (headerRows && typeof headerRows === 'object') {
+            return ComparisonEngine.normalizeHeaderRows(`${headerRows.first}-${headerRows.last}`);
+        }
+        const text = String(headerRows || '').trim();
+        if (text === '') return null;
+        const match = /^([1-9]\d*)\s*(?:[-:]\s*([1-9]\d*))?$/.exec(text);
+        if (!match) {
+            throw new Error(`"${headerRows}" is not a header row or rows such as 5 or 5-6`);
+        }
+        const first = Number(match[1]);
+        const last = match[2] ? Number(match[2]) : first;
+        return { first: Math.min(first, last), last: Math.max(first, last) };
+    }
+
+    static normalizeColumn(column) {
+        const text = String(column || '').trim().toUpperCase();
+        if (text === '') return null;
+        if (!/^[A-Z]{1,3}$/.test(text)) {
+            throw new Error(`"${column}" is not a column letter such as C`);
+        }
+        return text;
+    }
+
+    static describeSheetPair(pair) {
+        const sheets = pair.original === pair.modified ? `"${pair.original}"` : `"${pair.original}" vs "${pair.modified}"`;
+        return pair.range ? `${sheets}, ${pair.range}` : sheets;
+    }
+
+    static describeSheetChange(change) {
+        return change.type === 'added'
+            ? `Sheet "${change.sheet}" exists only in the modified file`
+            : `Sheet "${change.sheet}" exists only in the original file`;
+    }
+
+    static describeSchemaChange(change) {
+        switch (change.type) {
+            case 'added':
+                return `Column "${change.header}" added at ${change.modifiedColumn}`;
+            case 'removed':
+                return `Column "${change.header}" removed from ${change.originalColumn}`;
+            case 'moved':
+                return `Column "${change.header}" moved from ${change.originalColumn} to ${change.modifiedColumn}`;
+            case 'renamed':
+                return `Column "${change.originalHeader}" renamed to "${change.header}" (${change.originalColumn} to ${change.modifiedColumn})`;
+            default:
+                return `Column "${change.header}" changed`;
+        }
+    }
+
+    static describeFormulaChange(difference) {
+        const kind = difference.changeType === 'formula' ? 'Formula only' : 'Value and formula';
+        switch (difference.formulaChange) {
+            case 'formula-to-constant':
+                return `${kind}: formula =${difference.originalFormula} replaced by a constant`;
+            case 'constant-to-formula':
+                return `${kind}: constant replaced by formula =${difference.modifiedFormula}`;
+            default:
+                return `${kind}: formula changed from =${difference.originalFormula} to =${difference.modifiedFormula}`;
+        }
+    }
+
+    static describeFormatChange(change) {
+        const quote = value => (value === '' ? 'none' : `"${value}"`);
+        switch (change.type) {
+            case 'numberFormat':
+                return `Number format of ${change.location} changed from ${quote(change.originalValue)} to ${quote(change.modifiedValue)}`;
+            case 'comment':
+                if (change.originalValue === '') return `Comment added to ${change.location}: ${quote(change.modifiedValue)}`;
+                if (change.modifiedValue === '') return `Comment removed from ${change.location}`;
+                return `Comment on ${change.location} changed from ${quote(change.originalValue)} to ${quote(change.modifiedValue)}`;
+            case 'hyperlink':
+                if (change.originalValue === '') return `Hyperlink added to ${change.location}: ${change.modifiedValue}`;
+                if (change.modifiedValue === '') return `Hyperlink removed from ${change.location}`;
+                return `Hyperlink on ${change.location} changed from ${change.originalValue} to ${change.modifiedValue}`;
+            case 'merge':
+                return change.originalValue === ''
+                    ? `Cells ${change.location} merged`
+                    : `Cells ${change.location} no longer merged`;
+            case 'hiddenRow':
+                return change.modifiedValue === 'hidden' ? `Row ${change.location} hidden` : `Row ${change.location} unhidden`;
+            case 'hiddenColumn':
+                return change.modifiedValue === 'hidden' ? `Column ${change.location} hidden` : `Column ${change.location} unhidden`;
+            default:
+                return `${change.location} changed`;
+        }
+    }
+
+    static describeColumnRule(rule) {
+        const settings = [];
+        if (rule.ignore) settings.push('ignored');
+        if (rule.tolerance > 0) settings.push(rule.relativeTolerance ? `tolerance ±${rule.tolerance}%` : `tolerance ±${rule.tolerance}`);
+        if (rule.ignoreCase) settings.push('case-insensitive');
+        if (rule.collapseWhitespace) settings.push('whitespace collapsed');
+        if (rule.ignoreTime) settings.push('time of day ignored');
+        if (rule.valueType) settings.push(`read as ${rule.valueType}`);
+        return `${rule.column}: ${settings.join(', ') || 'compared exactly'}`;
+    }
+
+    static describeRowChange(change) {
+        const description = change.type === 'added'
+            ? `Row inserted at ${change.row} (modified file)`
+            : `Row deleted at ${change.row} (original file)`;
+        return change.key ? `${description}, key: ${change.key}` : description;
+    }
+
+    compare(onProgress = () => {}) {
+        const differences = [];
+        const rowChanges = [];
+        const schemaChanges = [];
+        const formatChanges = [];
+        const sheetSummaries = [];
+        const { sheetPairs, originalOnly, modifiedOnly } = ComparisonEngine.pairSheets(
+            this.originalData.SheetNames,
+            this.modifiedData.SheetNames,
+            this.comparisonOptions.sheetMapping
+        );
+        const textFormats = [this.originalData, this.modifiedData]
+            .map(workbook => workbook.sourceFormat)
+            .filter(sourceFormat => sourceFormat && sourceFormat.isText);
+        // Formatting is compared by default, so only formulas that were asked for are worth a warning
+        if (textFormats.length > 0) {
+            if (this.comparisonOptions.compareFormulas) {
+                this.warn('Formulas were not compared because CSV and TSV files only hold values');
+            }
+            this.comparisonOptions = { ...this.comparisonOptions, compareFormulas: false, compareFormatting: false };
+        }
+        if (this.textHeaderRows === 0 && textFormats.some(sourceFormat => sourceFormat.hasHeader)) {
+            this.warn('The first row of each CSV or TSV file was compared as data because not every file has a header row');
+        }
+        const { keyColumns, alignRows, compareFormulas, compareFormatting } = this.comparisonOptions;
+
+        if (sheetPairs.length === 0) {
+            throw new Error('No sheets to compare: none of the sheet names match. Pick the sheet pairs manually and try again.');
+        }
+
+        sheetPairs.forEach(({ original: sheetName, modified: modifiedSheetName, range }, sheetIndex) => {
+            const sheetLabel = `${ComparisonEngine.describeSheetPair(sheetPairs[sheetIndex])} (sheet ${sheetIndex + 1} of ${sheetPairs.length})`;
+            onProgress(sheetIndex / sheetPairs.length, `Reading ${sheetLabel}...`);
+
+            const originalSheet = this.readSheet(this.originalData, sheetName, sheetPairs[sheetIndex]);
+            const modifiedSheet = this.readSheet(this.modifiedData, modifiedSheetName, sheetPairs[sheetIndex]);
+
+            const columnPairs = this.buildColumnPairs(originalSheet, modifiedSheet);
+            this.applyColumnRules(columnPairs);
+            const labelIndex = this.findLabelColumn(columnPairs, originalSheet, sheetPairs[sheetIndex].labelColumn, sheetName);
+            onProgress(sheetIndex / sheetPairs.length, `Matching rows in ${sheetLabel}...`);
+            const rowPairs = this.buildRowPairs(originalSheet, modifiedSheet, sheetName, columnPairs);
+
+            columnPairs
+                .filter(columnPair => columnPair.status !== 'matched')
+                .forEach(columnPair => {
+                    schemaChanges.push({
+                        sheet: sheetName,
+                        type: columnPair.status,
+                        header: columnPair.header,
+                        originalHeader: columnPair.originalHeader,
+                        originalColumn: columnPair.originalCol === null ? null : XLSX.utils.encode_col(columnPair.originalCol),
+                        modifiedColumn: columnPair.modifiedCol === null ? null : XLSX.utils.encode_col(columnPair.modifiedCol)
+                    });
+                });
+
+            const sheetDiff = {
+                sheet: sheetName,
+                modifiedSheet: modifiedSheetName,
+                range,
+                original: originalSheet,
+                modified: modifiedSheet,
+                columnPairs,
+                rowPairs,
+                labelIndex,
+                ...this.indexColumnPairs(columnPairs)
+            };
+            this.sheetDiffs.push(sheetDiff);
+
+            const summary = {
+                sheet: sheetName,
+                modifiedSheet: modifiedSheetName,
+                range,
+                cellsChanged: 0,
+                cellsAdded: 0,
+                cellsRemoved: 0,
+                rowsChanged: 0,
+                rowsAdded: 0,
+                rowsRemoved: 0,
+                columnsAdded: columnPairs.filter(columnPair => columnPair.status === 'added').length,
+                columnsRemoved: columnPairs.filter(columnPair => columnPair.status === 'removed').length
+            };
+            sheetSummaries.push(summary);
+
+            rowPairs.forEach((pair, pairIndex) => {
+                if (pairIndex % ENGINE_CONFIG.PROGRESS_INTERVAL_ROWS === 0) {
+                    onProgress(
+                        (sheetIndex + pairIndex / rowPairs.length) / sheetPairs.length,
+                        `Comparing ${sheetLabel}: row ${ComparisonUtils.formatNumber(pairIndex + 1)} of ${ComparisonUtils.formatNumber(rowPairs.length)}`
+                    );
+                }
+
+                const { added, removed } = this.countUnpairedCells(sheetDiff, pair);
+                summary.cellsAdded += added;
+                summary.cellsRemoved += removed;
+
+                if (pair.originalRow === null || pair.modifiedRow === null) {
+                    const isAdded = pair.originalRow === null;
+                    summary[isAdded ? 'rowsAdded' : 'rowsRemoved']++;
+                    pair.differences = [];
+                    rowChanges.push({
+                        sheet: sheetName,
+                        sheetIndex,
+                        type: isAdded ? 'added' : 'removed',
+                        row: isAdded ? modifiedSheet.getSheetRowNumber(pair.modifiedRow) : originalSheet.getSheetRowNumber(pair.originalRow),
+                        key: pair.key
+                    });
+                    return;
+                }
+
+                pair.differences = this.diffRow(sheetDiff, pair);
+                pair.differences.forEach(difference => differences.push(difference));
+                summary.cellsChanged += pair.differences.length;
+                if (pair.differences.length > 0) {
+                    summary.rowsChanged++;
+                }
+
+                if (compareFormatting) {
+                    this.diffRowFormatting(sheetDiff, pair).forEach(change => formatChanges.push(change));
+                }
+            });
+
+            if (compareFormatting) {
+                this.diffSheetStructure(sheetDiff).forEach(change => formatChanges.push(change));
+            }
+        });
+
+        this.columnRules
+            .filter(rule => !this.matchedColumnRules.has(rule))
+            .forEach(rule => this.warn(`No column named "${rule.column}" was found, so its comparison rule was not used`));
+
+        onProgress(1, 'Comparison finished');
+
+        this.comparisonResult = {
+            differences: differences,
+            rowChanges: rowChanges,
+            schemaChanges: schemaChanges,
+            totalDifferences: differences.length,
+            rowsAdded: rowChanges.filter(change => change.type === 'added').length,
+            rowsRemoved: rowChanges.filter(change => change.type === 'removed').length,
+            keyColumns: keyColumns,
+            rowMatching: keyColumns.length > 0 ? 'key' : (alignRows ? 'alignment' : 'position'),
+            compareFormulas: !!compareFormulas,
+            formulaChanges: differences.filter(difference => difference.changeType !== 'value').length,
+            formulaConversions: differences.filter(difference => difference.formulaChange !== null).length,
+            compareFormatting: !!compareFormatting,
+            formatChanges: formatChanges,
+            sheetsCompared: sheetPairs.length,
+            sheetPairs: sheetPairs,
+            sheetSummaries: sheetSummaries,
+            columnRules: this.columnRules,
+            ignoreCase: !!this.comparisonOptions.ignoreCase,
+            collapseWhitespace: !!this.comparisonOptions.collapseWhitespace,
+            ignoreTimeOfDay: !!this.comparisonOptions.ignoreTimeOfDay,
+            dateFormats: this.dateFormats.map(dateFormat => dateFormat.format),
+            sheetChanges: [
+                ...originalOnly.map(sheet => ({ type: 'removed', sheet })),
+                ...modifiedOnly.map(sheet => ({ type: 'added', sheet }))
+            ],
+            warnings: this.warnings,
+            originalFile: this.fileNames.original,
+            modifiedFile: this.fileNames.modified,
+            comparisonDate: new Date().toISOString()
+        };
+
+        return this.comparisonResult;
+    }
+
+    // Header rows start the compared block, so title banners above them are left out
+    readSheet(workbook, sheetName, { range, headerRows }) {
+        const worksheet = workbook.Sheets[sheetName];
+        if (!headerRows) {
+            const isText = !!(workbook.sourceFormat && workbook.sourceFormat.isText);
+            return new SheetData(worksheet, range, isText ? this.textHeaderRows : 1);
+        }
+
+        const bounds = XLSX.utils.decode_range(range || (worksheet && worksheet['!ref']) || 'A1');
+        if (range && (headerRows.first - 1 < bounds.s.r || headerRows.last - 1 > bounds.e.r)) {
+            throw new Error(`Header rows ${headerRows.first}-${headerRows.last} of sheet "${sheetName}" are outside the range ${range}`);
+        }
+        bounds.s.r = headerRows.first - 1;
+        bounds.e.r = Math.max(bounds.e.r, headerRows.last - 1);
+        return new SheetData(worksheet, XLSX.utils.encode_range(bounds), headerRows.last - headerRows.first + 1);
+    }
+
+    // Index in columnPairs of the column that names each row in the report (the first one by default)
+    findLabelColumn(columnPairs, originalSheet, labelColumn, sheetName) {
+        if (!labelColumn) return 0;
+
+        const originalCol = XLSX.utils.decode_col(labelColumn) - originalSheet.origin.c;
+        const index = columnPairs.findIndex(columnPair => columnPair.originalCol === originalCol);
+        if (index === -1) {
+            this.warn(`Label column ${labelColumn} is not among the compared columns of sheet "${sheetName}", so the first column was used`);
+            return 0;
+        }
+        return index;
+    }
+
+    // Populated cells without a counterpart: whole added/removed rows, or added/removed columns
+    countUnpairedCells(sheetDiff, pair) {
+        const { original, modified, columnPairs, originalColumnIndex, modifiedColumnIndex } = sheetDiff;
+        let added = 0;
+        let removed = 0;
+
+        modified.getRow(pair.modifiedRow).forEach((value, col) => {
+            if (value !== '' && (pair.originalRow === null || columnPairs[modifiedColumnIndex[col]].originalCol === null)) {
+                added++;
+            }
+        });
+        original.getRow(pair.originalRow).forEach((value, col) => {
+            if (value !== '' && (pair.modifiedRow === null || columnPairs[originalColumnIndex[col]].modifiedCol === null)) {
+                removed++;
+            }
+        });
+
+        return { added, removed };
+    }
+
+    // Rules are looked up by header text (either side for renamed columns); the global case,
+    // whitespace and time-of-day options apply to every column on top of its own rule
+    applyColumnRules(columnPairs) {
+        const { ignoreCase, collapseWhitespace, ignoreTimeOfDay } = this.comparisonOptions;
+        const baseRule = ignoreCase || collapseWhitespace || ignoreTimeOfDay
+            ? Object.freeze({
+                ...DEFAULT_COLUMN_RULE,
+                ignoreCase: !!ignoreCase,
+                collapseWhitespace: !!collapseWhitespace,
+                ignoreTime: !!ignoreTimeOfDay
+            })
+            : DEFAULT_COLUMN_RULE;
+
+        columnPairs.forEach(columnPair => {
+            const headers = [columnPair.header, columnPair.originalHeader]
+                .filter(header => header)
+                .map(header => header.toLowerCase());
+            const rule = this.columnRules.find(columnRule => headers.includes(columnRule.column.toLowerCase()));
+            if (!rule) {
+                columnPair.rule = baseRule;
+                return;
+            }
+
+            this.matchedColumnRules.add(rule);
+            columnPair.rule = {
+                ignore: rule.ignore,
+                tolerance: rule.tolerance,
+                relativeTolerance: rule.relativeTolerance,
+                ignoreCase: rule.ignoreCase || baseRule.ignoreCase,
+                collapseWhitespace: rule.collapseWhitespace || baseRule.collapseWhitespace,
+                ignoreTime: rule.ignoreTime || baseRule.ignoreTime,
+                valueType: rule.valueType
+            };
+        });
+    }
+
+    // Maps each sheet column to its position in columnPairs
+    indexColumnPairs(columnPairs) {
+        const originalColumnIndex = [];
+        const modifiedColumnIndex = [];
+        columnPairs.forEach((columnPair, index) => {
+            if (columnPair.originalCol !== null) originalColumnIndex[columnPair.originalCol] = index;
+            if (columnPair.modifiedCol !== null) modifiedColumnIndex[columnPair.modifiedCol] = index;
+        });
+        return { originalColumnIndex, modifiedColumnIndex };
+    }
+
+    // Only the columns populated on either side of a row pair can differ
+    diffRow(sheetDiff, pair) {
+        const { sheet, modifiedSheet, original, modified, columnPairs, originalColumnIndex, modifiedColumnIndex } = sheetDiff;
+        const originalRowData = original.getRow(pair.originalRow);
+        const modifiedRowData = modified.getRow(pair.modifiedRow);
+        const originalCells = original.getCellRow(pair.originalRow);
+        const modifiedCells = modified.getCellRow(pair.modifiedRow);
+
+        const compareFormulas = !!this.comparisonOptions.compareFormulas;
+        const originalFormulas = compareFormulas ? original.getFormulaRow(pair.originalRow) : EMPTY_ROW;
+        const modifiedFormulas = compareFormulas ? modified.getFormulaRow(pair.modifiedRow) : EMPTY_ROW;
+
+        const populated = [];
+        originalRowData.forEach((value, col) => populated.push(originalColumnIndex[col]));
+        modifiedRowData.forEach((value, col) => populated.push(modifiedColumnIndex[col]));
+        originalFormulas.forEach((formula, col) => populated.push(originalColumnIndex[col]));
+        modifiedFormulas.forEach((formula, col) => populated.push(modifiedColumnIndex[col]));
+
+        const differences = [];
+        populated.sort((a, b) => a - b).forEach((index, position) => {
+            if (position > 0 && populated[position - 1] === index) return;
+            const columnPair = columnPairs[index];
+
+            // Added and removed columns are reported as schema changes, renamed headers too
+            if (columnPair.originalCol === null || columnPair.modifiedCol === null) return;
+            if (pair.originalRow === 0 && columnPair.status === 'renamed') return;
+            if (columnPair.rule.ignore) return;
+
+            const originalValue = this.getPairValue(originalRowData, columnPair.originalCol);
+            const modifiedValue = this.getPairValue(modifiedRowData, columnPair.modifiedCol);
+            const originalType = this.getValueType(originalCells[columnPair.originalCol], originalValue, columnPair.rule);
+            const modifiedType = this.getValueType(modifiedCells[columnPair.modifiedCol], modifiedValue, columnPair.rule);
+            const originalFormula = originalFormulas[columnPair.originalCol] || null;
+            const modifiedFormula = modifiedFormulas[columnPair.modifiedCol] || null;
+            const valueChanged = this.valuesAreDifferent(originalValue, modifiedValue, columnPair.rule, originalType, modifiedType);
+            const formulaChanged = this.formulasAreDifferent(originalFormula, modifiedFormula);
+
+            if (valueChanged || formulaChanged) {
+                differences.push({
+                    sheet: sheet,
+                    modifiedSheet: modifiedSheet,
+                    row: pair.originalRow + 1,
+                    col: columnPair.originalCol + 1,
+                    cellRef: original.encodeCell(pair.originalRow, columnPair.originalCol),
+                    modifiedCellRef: modified.encodeCell(pair.modifiedRow, columnPair.modifiedCol),
+                    column: columnPair.header,
+                    key: pair.key,
+                    originalValue: originalValue,
+                    modifiedValue: modifiedValue,
+                    originalType: originalType,
+                    modifiedType: modifiedType,
+                    delta: this.getDelta(originalValue, modifiedValue, originalType, modifiedType),
+                    changeType: formulaChanged ? (valueChanged ? 'both' : 'formula') : 'value',
+                    originalFormula: originalFormula,
+                    modifiedFormula: modifiedFormula,
+                    formulaChange: this.getFormulaChange(originalFormula, modifiedFormula, formulaChanged)
+                });
+            }
+        });
+
+        return differences;
+    }
+
+    // Number formats, comments and hyperlinks of the cells in a matched row, plus the row's visibility
+    diffRowFormatting(sheetDiff, pair) {
+        const { sheet, original, modified, columnPairs, originalColumnIndex, modifiedColumnIndex } = sheetDiff;
+        const originalCells = original.getCellRow(pair.originalRow);
+        const modifiedCells = modified.getCellRow(pair.modifiedRow);
+        const changes = [];
+        const addChange = (type, location, originalValue, modifiedValue) => {
+            changes.push({ sheet, type, location, originalValue, modifiedValue, key: pair.key });
+        };
+
+        const compareAnnotations = (originalCell, modifiedCell, location) => {
+            const originalComment = this.getCommentText(originalCell);
+            const modifiedComment = this.getCommentText(modifiedCell);
+            if (originalComment !== modifiedComment) {
+                addChange('comment', location, originalComment, modifiedComment);
+            }
+
+            const originalLink = this.getHyperlink(originalCell);
+            const modifiedLink = this.getHyperlink(modifiedCell);
+            if (originalLink !== modifiedLink) {
+                addChange('hyperlink', location, originalLink, modifiedLink);
+            }
+        };
+
+        // A cell holding only a comment or link past the last value column has no column pair
+        const populated = [];
+        const unpairedCols = new Set();
+        originalCells.forEach((cell, col) => {
+            if (originalColumnIndex[col] === undefined) unpairedCols.add(col);
+            else populated.push(originalColumnIndex[col]);
+        });
+        modifiedCells.forEach((cell, col) => {
+            if (modifiedColumnIndex[col] === undefined) unpairedCols.add(col);
+            else populated.push(modifiedColumnIndex[col]);
+        });
+
+        populated.sort((a, b) => a - b).forEach((index, position) => {
+            if (position > 0 && populated[position - 1] === index) return;
+            const columnPair = columnPairs[index];
+            if (columnPair.originalCol === null || columnPair.modifiedCol === null) return;
+            if (columnPair.rule.ignore) return;
+
+            const originalCell = originalCells[columnPair.originalCol] || null;
+            const modifiedCell = modifiedCells[columnPair.modifiedCol] || null;
+            const location = original.encodeCell(pair.originalRow, columnPair.originalCol);
+
+            // A format only matters when the cell exists on both sides; otherwise the value diff covers it
+            if (originalCell && modifiedCell) {
+                const originalFormat = this.getNumberFormat(originalCell);
+                const modifiedFormat = this.getNumberFormat(modifiedCell);
+                if (originalFormat !== modifiedFormat) {
+                    addChange('numberFormat', location, originalFormat, modifiedFormat);
+                }
+            }
+
+            compareAnnotations(originalCell, modifiedCell, location);
+        });
+
+        // Those cells are matched by position when neither side has a paired column there
+        Array.from(unpairedCols).sort((a, b) => a - b).forEach(col => {
+            if (originalColumnIndex[col] !== undefined || modifiedColumnIndex[col] !== undefined) return;
+            compareAnnotations(originalCells[col] || null, modifiedCells[col] || null, original.encodeCell(pair.originalRow, col));
+        });
+
+        const originalHidden = original.isRowHidden(pair.originalRow);
+        if (originalHidden !== modified.isRowHidden(pair.modifiedRow)) {
+            addChange('hiddenRow', String(original.getSheetRowNumber(pair.originalRow)),
+                originalHidden ? 'hidden' : 'visible', originalHidden ? 'visible' : 'hidden');
+        }
+
+        return changes;
+    }
+
+    // Hidden columns and merged ranges, mapped through the row and column pairs
+    diffSheetStructure(sheetDiff) {
+        const { sheet, original, modified, columnPairs, rowPairs } = sheetDiff;
+        const changes = [];
+
+        columnPairs.forEach(columnPair => {
+            if (columnPair.originalCol === null || columnPair.modifiedCol === null) return;
+            const originalHidden = original.isColumnHidden(columnPair.originalCol);
+            if (originalHidden !== modified.isColumnHidden(columnPair.modifiedCol)) {
+                changes.push({
+                    sheet,
+                    type: 'hiddenColumn',
+                    location: XLSX.utils.encode_col(original.origin.c + columnPair.originalCol),
+                    originalValue: originalHidden ? 'hidden' : 'visible',
+                    modifiedValue: originalHidden ? 'visible' : 'hidden',
+                    key: null
+                });
+            }
+        });
+
+        const modifiedToOriginalRow = new Map();
+        rowPairs.forEach(pair => {
+            if (pair.originalRow !== null && pair.modifiedRow !== null) {
+                modifiedToOriginalRow.set(pair.modifiedRow, pair.originalRow);
+            }
+        });
+        const modifiedToOriginalCol = new Map();
+        columnPairs.forEach(columnPair => {
+            if (columnPair.originalCol !== null && columnPair.modifiedCol !== null) {
+                modifiedToOriginalCol.set(columnPair.modifiedCol, columnPair.originalCol);
+            }
+        });
+
+        // Merges in the modified file are translated to original coordinates before comparing
+        const mergeKey = merge => `${merge.s.r}:${merge.s.c}:${merge.e.r}:${merge.e.c}`;
+        const originalMerges = original.getMerges();
+        const translatedMerges = new Set();
+        const originalMergeKeys = new Set(originalMerges.map(mergeKey));
+
+        modified.getMerges().forEach(merge => {
+            const translated = {
+                s: { r: modifiedToOriginalRow.get(merge.s.r), c: modifiedToOriginalCol.get(merge.s.c) },
+                e: { r: modifiedToOriginalRow.get(merge.e.r), c: modifiedToOriginalCol.get(merge.e.c) }
+            };
+            const isMapped = [translated.s.r, translated.s.c, translated.e.r, translated.e.c].every(value => value !== undefined);
+            if (isMapped) {
+                translatedMerges.add(mergeKey(translated));
+                if (originalMergeKeys.has(mergeKey(translated))) return;
+            }
+            changes.push({ sheet, type: 'merge', location: merge.ref, originalValue: '', modifiedValue: merge.ref, key: null });
+        });
+
+        originalMerges.forEach(merge => {
+            if (!translatedMerges.has(mergeKey(merge))) {
+                changes.push({ sheet, type: 'merge', location: merge.ref, originalValue: merge.ref, modifiedValue: '', key: null });
+            }
+        });
+
+        return changes;
+    }
+
+    getNumberFormat(cell) {
+        return cell && cell.z ? String(cell.z) : 'General';
+    }
+
+    getCommentText(cell) {
+        if (!cell || !Array.isArray(cell.c)) return '';
+        return cell.c.map(comment => String(comment.t || '').trim()).filter(text => text !== '').join('\n');
+    }
+
+    getHyperlink(cell) {
+        return cell && cell.l ? String(cell.l.Target || '') : '';
+    }
+
+    formulasAreDifferent(originalFormula, modifiedFormula) {
+        if (originalFormula === null || modifiedFormula === null) {
+            return originalFormula !== modifiedFormula;
+        }
+        return originalFormula.trim() !== modifiedFormula.trim();
+    }
+
+    getFormulaChange(originalFormula, modifiedFormula, formulaChanged) {
+        if (!formulaChanged) return null;
+        if (modifiedFormula === null) return 'formula-to-constant';
+        if (originalFormula === null) return 'constant-to-formula';
+        return null;
+    }
+
+    buildColumnPairs(originalSheet, modifiedSheet) {
+        const originalHeaders = this.getHeaderTexts(originalSheet);
+        const modifiedHeaders = this.getHeaderTexts(modifiedSheet);
+        const { matchColumnsByHeader, detectRenamedColumns } = this.comparisonOptions;
+        const hasHeaders = originalHeaders.some(header => header !== '') && modifiedHeaders.some(header => header !== '');
+
+        if (!matchColumnsByHeader || !hasHeaders) {
+            const maxCols = Math.max(originalHeaders.length, modifiedHeaders.length);
+            const columnPairs = [];
+            for (let col = 0; col < maxCols; col++) {
+                columnPairs.push(this.createColumnPair(col, col, originalHeaders, modifiedHeaders, 'matched'));
+            }
+            return columnPairs;
+        }
+
+        const modifiedToOriginal = new Map();
+        const originalToModified = new Map();
+        const renamedColumns = new Set();
+        const match = (originalCol, modifiedCol) => {
+            originalToModified.set(originalCol, modifiedCol);
+            modifiedToOriginal.set(modifiedCol, originalCol);
+        };
+
+        // Exact header matches first; duplicate headers pair up in order of appearance
+        const modifiedColsByHeader = new Map();
+        modifiedHeaders.forEach((header, col) => {
+            const name = header.toLowerCase();
+            if (name === '') return;
+            if (!modifiedColsByHeader.has(name)) {
+                modifiedColsByHeader.set(name, []);
+            }
+            modifiedColsByHeader.get(name).push(col);
+        });
+        originalHeaders.forEach((header, col) => {
+            const candidates = modifiedColsByHeader.get(header.toLowerCase());
+            if (header !== '' && candidates && candidates.length > 0) {
+                match(col, candidates.shift());
+            }
+        });
+
+        if (detectRenamedColumns) {
+            const candidates = [];
+            originalHeaders.forEach((originalHeader, originalCol) => {
+                if (originalHeader === '' || originalToModified.has(originalCol)) return;
+                modifiedHeaders.forEach((modifiedHeader, modifiedCol) => {
+                    if (modifiedHeader === '' || modifiedToOriginal.has(modifiedCol)) return;
+                    const similarity = this.getHeaderSimilarity(originalHeader.toLowerCase(), modifiedHeader.toLowerCase());
+                    if (similarity >= ENGINE_CONFIG.COLUMN_RENAME_SIMILARITY) {
+                        candidates.push({ originalCol, modifiedCol, similarity });
+                    }
+                });
+            });
+
+            candidates
+                .sort((a, b) => b.similarity - a.similarity)
+                .forEach(({ originalCol, modifiedCol }) => {
+                    if (originalToModified.has(originalCol) || modifiedToOriginal.has(modifiedCol)) return;
+                    match(originalCol, modifiedCol);
+                    renamedColumns.add(originalCol);
+                });
+        }
+
+        // Columns without a header text stay matched by position
+        originalHeaders.forEach((header, col) => {
+            if (header === '' && !originalToModified.has(col) &&
+                col < modifiedHeaders.length && modifiedHeaders[col] === '' && !modifiedToOriginal.has(col)) {
+                match(col, col);
+            }
+        });
+
+        const movedColumns = this.findMovedColumns(originalToModified);
+
+        // Added columns are placed after the last matched column that precedes them in the modified file
+        const addedColumnsAfter = new Map();
+        let anchorCol = -1;
+        modifiedHeaders.forEach((header, col) => {
+            if (modifiedToOriginal.has(col)) {
+                anchorCol = modifiedToOriginal.get(col);
+                return;
+            }
+            if (!addedColumnsAfter.has(anchorCol)) {
+                addedColumnsAfter.set(anchorCol, []);
+            }
+            addedColumnsAfter.get(anchorCol).push(col);
+        });
+
+        const columnPairs = [];
+        const pushAddedColumns = (anchor) => {
+            (addedColumnsAfter.get(anchor) || []).forEach(col => {
+                columnPairs.push(this.createColumnPair(null, col, originalHeaders, modifiedHeaders, 'added'));
+            });
+        };
+
+        pushAddedColumns(-1);
+        originalHeaders.forEach((header, col) => {
+            if (!originalToModified.has(col)) {
+                columnPairs.push(this.createColumnPair(col, null, originalHeaders, modifiedHeaders, 'removed'));
+            } else {
+                const status = renamedColumns.has(col) ? 'renamed' : (movedColumns.has(col) ? 'moved' : 'matched');
+                columnPairs.push(this.createColumnPair(col, originalToModified.get(col), originalHeaders, modifiedHeaders, status));
+            }
+            pushAddedColumns(col);
+        });
+
+        return columnPairs;
+    }
+
+    createColumnPair(originalCol, modifiedCol, originalHeaders, modifiedHeaders, status) {
+        const originalHeader = originalCol === null ? '' : (originalHeaders[originalCol] || '');
+        const modifiedHeader = modifiedCol === null ? '' : (modifiedHeaders[modifiedCol] || '');
+        const fallbackCol = modifiedCol === null ? originalCol : modifiedCol;
+
+        return {
+            originalCol,
+            modifiedCol,
+            header: modifiedHeader || originalHeader || `Column ${XLSX.utils.encode_col(fallbackCol)}`,
+            originalHeader: status === 'renamed' ? originalHeader : null,
+            status
+        };
+    }
+
+    getHeaderTexts(sheetData) {
+        const headerRow = sheetData.getRow(0);
+        const headers = [];
+        for (let col = 0; col < sheetData.colCount; col++) {
+            headers.push(String(headerRow[col] !== undefined ? headerRow[col] : '').trim());
+        }
+        return headers;
+    }
+
+    // Columns outside the longest run that kept its relative order are reported as moved
+    findMovedColumns(originalToModified) {
+        const matched = Array.from(originalToModified.entries()).sort((a, b) => a[0] - b[0]);
+        const tails = [];
+        const tailIndexes = [];
+        const previous = new Array(matched.length).fill(-1);
+
+        matched.forEach(([, modifiedCol], index) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (tails[mid] < modifiedCol) low = mid + 1;
+                else high = mid;
+            }
+            tails[low] = modifiedCol;
+            tailIndexes[low] = index;
+            previous[index] = low > 0 ? tailIndexes[low - 1] : -1;
+        });
+
+        const inOrder = new Set();
+        for (let index = tailIndexes[tails.length - 1]; index !== undefined && index !== -1; index = previous[index]) {
+            inOrder.add(matched[index][0]);
+        }
+
+        return new Set(matched.map(([originalCol]) => originalCol).filter(col => !inOrder.has(col)));
+    }
+
+    // Edit-distance ratio, raised for abbreviations such as "Amount" -> "Amt"
+    getHeaderSimilarity(a, b) {
+        if (a === b) return 1;
+        const maxLength = Math.max(a.length, b.length);
+        if (maxLength === 0) return 1;
+
+        let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const currentRow = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                currentRow[j] = Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + cost);
+            }
+            previousRow = currentRow;
+        }
+
+        const editSimilarity = 1 - previousRow[b.length] / maxLength;
+        const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+        if (shorter.length > 1 && shorter[0] === longer[0] && this.isSubsequence(shorter, longer)) {
+            return Math.max(editSimilarity, 0.5 + 0.5 * shorter.length / longer.length);
+        }
+        return editSimilarity;
+    }
+
+    isSubsequence(shorter, longer) {
+        let position = 0;
+        for (const char of longer) {
+            if (char === shorter[position]) position++;
+            if (position === shorter.length) return true;
+        }
+        return false;
+    }
+
+    buildRowPairs(originalSheet, modifiedSheet, sheetName, columnPairs) {
+        const { keyColumns, alignRows } = this.comparisonOptions;
+
+        if (keyColumns.length > 0) {
+            const originalKeyIndexes = this.resolveKeyColumns(originalSheet, keyColumns);
+            const modifiedKeyIndexes = this.resolveKeyColumns(modifiedSheet, keyColumns);
+
+            if (originalKeyIndexes && modifiedKeyIndexes) {
+                return this.buildKeyedRowPairs(originalSheet, modifiedSheet, originalKeyIndexes, modifiedKeyIndexes);
+            }
+
+            this.warn(`Key columns not found in sheet "${sheetName}", comparing rows by position`);
+        } else if (alignRows) {
+            return this.buildAlignedRowPairs(originalSheet, modifiedSheet, columnPairs);
+        }
+
+        const maxRows = Math.max(originalSheet.rowCount, modifiedSheet.rowCount);
+        const rowPairs = [];
+        for (let row = 0; row < maxRows; row++) {
+            rowPairs.push({ originalRow: row, modifiedRow: row, key: null });
+        }
+        return rowPairs;
+    }
+
+    // Key columns are header names, or worksheet column letters
+    resolveKeyColumns(sheetData, keyColumns) {
+        const headers = this.getHeaderTexts(sheetData);
+        const keyIndexes = [];
+
+        for (const keyColumn of keyColumns) {
+            const headerName = keyColumn.toLowerCase();
+            let index = headers.findIndex(header => header.toLowerCase() === headerName);
+
+            if (index === -1 && /^[a-z]{1,3}$/i.test(keyColumn)) {
+                index = XLSX.utils.decode_col(keyColumn.toUpperCase()) - sheetData.origin.c;
+            }
+
+            if (index < 0) {
+                return null;
+            }
+            keyIndexes.push(index);
+        }
+
+        return keyIndexes;
+    }
+
+    buildAlignedRowPairs(originalSheet, modifiedSheet, columnPairs) {
+        // Only compared columns present in both files take part in row matching
+        const sharedPairs = columnPairs.filter(pair => pair.originalCol !== null && pair.modifiedCol !== null && !pair.rule.ignore);
+        const originalHashes = this.getRowHashes(originalSheet, sharedPairs.map(pair => pair.originalCol));
+        const modifiedHashes = this.getRowHashes(modifiedSheet, sharedPairs.map(pair => pair.modifiedCol));
+        const matches = this.findMatchingRows(originalHashes, modifiedHashes);
+
+        const rowPairs = [];
+        let nextOriginalRow = 0;
+        let nextModifiedRow = 0;
+
+        const pairGap = (originalEnd, modifiedEnd) => {
+            const originalGap = [];
+            const modifiedGap = [];
+            for (let row = nextOriginalRow; row < originalEnd; row++) originalGap.push(row);
+            for (let row = nextModifiedRow; row < modifiedEnd; row++) modifiedGap.push(row);
+            for (const pair of this.pairUnmatchedRows(originalGap, modifiedGap, originalSheet, modifiedSheet, sharedPairs)) {
+                rowPairs.push(pair);
+            }
+        };
+
+        for (const [originalRow, modifiedRow] of matches) {
+            pairGap(originalRow, modifiedRow);
+            rowPairs.push({ originalRow, modifiedRow, key: null });
+            nextOriginalRow = originalRow + 1;
+            nextModifiedRow = modifiedRow + 1;
+        }
+        pairGap(originalSheet.rowCount, modifiedSheet.rowCount);
+
+        return rowPairs;
+    }
+
+    // Values are placed by their position in cols, so moved columns still match
+    getRowHashes(sheetData, cols) {
+        const positions = [];
+        cols.forEach((col, position) => {
+            positions[col] = position;
+        });
+
+        const hashes = [];
+        for (let row = 0; row < sheetData.rowCount; row++) {
+            const parts = [];
+            sheetData.getRow(row).forEach((value, col) => {
+                const text = String(value).trim();
+                if (positions[col] !== undefined && text !== '') {
+                    parts[positions[col]] = text;
+                }
+            });
+            hashes.push(parts.join('\u001F'));
+        }
+        return hashes;
+    }
+
+    findMatchingRows(originalHashes, modifiedHashes) {
+        const prefix = [];
+        let start = 0;
+        while (start < originalHashes.length && start < modifiedHashes.length &&
+               originalHashes[start] === modifiedHashes[start]) {
+            prefix.push([start, start]);
+            start++;
+        }
+
+        const suffix = [];
+        let originalEnd = originalHashes.length;
+        let modifiedEnd = modifiedHashes.length;
+        while (originalEnd > start && modifiedEnd > start &&
+               originalHashes[originalEnd - 1] === modifiedHashes[modifiedEnd - 1]) {
+            originalEnd--;
+            modifiedEnd--;
+            suffix.unshift([originalEnd, modifiedEnd]);
+        }
+
+        const middle = this.myersMatches(
+            originalHashes.slice(start, originalEnd),
+            modifiedHashes.slice(start, modifiedEnd)
+        ).map(([originalRow, modifiedRow]) => [originalRow + start, modifiedRow + start]);
+
+        return prefix.concat(middle, suffix);
+    }
+
+    // Myers O(ND) diff; returns [originalIndex, modifiedIndex] pairs of equal rows in order.
+    // Gives up (no matches) when the edit distance exceeds ENGINE_CONFIG.MAX_ROW_ALIGNMENT_EDITS,
+    // in which case the rows are paired by similarity instead.
+    myersMatches(a, b) {
+        const n = a.length;
+        const m = b.length;
+        if (n === 0 || m === 0) return [];
+
+        const offset = n + m + 1;
+        const v = new Int32Array(2 * offset + 1);
+        const trace = [];
+        const maxEdits = Math.min(n + m, ENGINE_CONFIG.MAX_ROW_ALIGNMENT_EDITS);
+
+        for (let d = 0; d <= maxEdits; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    return this.backtrackMyers(trace, n, m);
+                }
+            }
+        }
+
+        this.warn(`Row alignment gave up after ${maxEdits} edits, pairing rows by similarity`);
+        return [];
+    }
+
+    backtrackMyers(trace, n, m) {
+        const matches = [];
+        let x = n;
+        let y = m;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const previous = trace[d];
+            const at = k => previous[k + d + 1];
+            const k = x - y;
+            const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                x--;
+                y--;
+                matches.push([x, y]);
+            }
+
+            x = previousX;
+            y = previousY;
+        }
+
+        return matches.reverse();
+    }
+
+    pairUnmatchedRows(originalRows, modifiedRows, originalSheet, modifiedSheet, columnPairs) {
+        const rowPairs = [];
+        let nextModified = 0;
+
+        // Rows that still look alike are treated as edited rather than deleted and re-inserted
+        for (const originalRow of originalRows) {
+            const searchEnd = Math.min(modifiedRows.length, nextModified + ENGINE_CONFIG.ROW_SIMILARITY_WINDOW);
+            let match = -1;
+
+            for (let index = nextModified; index < searchEnd; index++) {
+                const similarity = this.getRowSimilarity(originalSheet.getRow(originalRow), modifiedSheet.getRow(modifiedRows[index]), columnPairs);
+                if (similarity >= ENGINE_CONFIG.ROW_SIMILARITY_THRESHOLD) {
+                    match = index;
+                    break;
+                }
+            }
+
+            if (match === -1) {
+                rowPairs.push({ originalRow, modifiedRow: null, key: null });
+                continue;
+            }
+
+            for (; nextModified < match; nextModified++) {
+                rowPairs.push({ originalRow: null, modifiedRow: modifiedRows[nextModified], key: null });
+            }
+            rowPairs.push({ originalRow, modifiedRow: modifiedRows[match], key: null });
+            nextModified = match + 1;
+        }
+
+        for (; nextModified < modifiedRows.length; nextModified++) {
+            rowPairs.push({ originalRow: null, modifiedRow: modifiedRows[nextModified], key: null });
+        }
+
+        return rowPairs;
+    }
+
+    getRowSimilarity(originalRowData, modifiedRowData, columnPairs) {
+        let populated = 0;
+        let matching = 0;
+
+        for (const columnPair of columnPairs) {
+            const originalValue = this.getPairValue(originalRowData, columnPair.originalCol);
+            const modifiedValue = this.getPairValue(modifiedRowData, columnPair.modifiedCol);
+            if (originalValue === '' && modifiedValue === '') continue;
+
+            populated++;
+            if (!this.valuesAreDifferent(originalValue, modifiedValue, columnPair.rule)) {
+                matching++;
+            }
+        }
+
+        return populated === 0 ? 1 : matching / populated;
+    }
+
+    getRowKeys(sheetData, keyIndexes) {
+        const rowKeys = [];
+        for (let row = 0; row < sheetData.rowCount; row++) {
+            const rowData = sheetData.getRow(row);
+            if (row === 0 || rowData.every(value => value === '')) {
+                rowKeys.push(null);
+                continue;
+            }
+            rowKeys.push(keyIndexes.map(col => String(rowData[col] !== undefined ? rowData[col] : '').trim()));
+        }
+        return rowKeys;
+    }
+
+    buildKeyedRowPairs(originalSheet, modifiedSheet, originalKeyIndexes, modifiedKeyIndexes) {
+        const originalRowKeys = this.getRowKeys(originalSheet, originalKeyIndexes);
+        const modifiedRowKeys = this.getRowKeys(modifiedSheet, modifiedKeyIndexes);
+
+        // Duplicate keys are matched in order of appearance
+        const originalRowsByKey = new Map();
+        originalRowKeys.forEach((keyValues, row) => {
+            if (keyValues === null) return;
+            const mapKey = JSON.stringify(keyValues);
+            if (!originalRowsByKey.has(mapKey)) {
+                originalRowsByKey.set(mapKey, []);
+            }
+            originalRowsByKey.get(mapKey).push(row);
+        });
+
+        // Added rows are placed after the last matched row that precedes them in the modified file
+        const matchedRows = new Map();
+        const addedRowsAfter = new Map();
+        let anchorRow = 0;
+
+        modifiedRowKeys.forEach((keyValues, row) => {
+            if (keyValues === null) return;
+            const candidates = originalRowsByKey.get(JSON.stringify(keyValues));
+
+            if (candidates && candidates.length > 0) {
+                anchorRow = candidates.shift();
+                matchedRows.set(anchorRow, row);
+            } else {
+                if (!addedRowsAfter.has(anchorRow)) {
+                    addedRowsAfter.set(anchorRow, []);
+                }
+                addedRowsAfter.get(anchorRow).push(row);
+            }
+        });
+
+        const rowPairs = [];
+        const pushPairWithAddedRows = (originalRow, modifiedRow, key) => {
+            rowPairs.push({ originalRow, modifiedRow, key });
+            (addedRowsAfter.get(originalRow) || []).forEach(addedRow => {
+                rowPairs.push({ originalRow: null, modifiedRow: addedRow, key: modifiedRowKeys[addedRow].join(' + ') });
+            });
+        };
+
+        pushPairWithAddedRows(0, 0, null);
+        for (let row = 1; row < originalSheet.rowCount; row++) {
+            if (originalRowKeys[row] === null) continue;
+            const modifiedRow = matchedRows.has(row) ? matchedRows.get(row) : null;
+            pushPairWithAddedRows(row, modifiedRow, originalRowKeys[row].join(' + '));
+        }
+
+        return rowPairs;
+    }
+
+    // Without cells (row matching), types come from the rule or the values themselves
+    valuesAreDifferent(originalValue, modifiedValue, rule = DEFAULT_COLUMN_RULE,
+        originalType = this.getValueType(null, originalValue, rule),
+        modifiedType = this.getValueType(null, modifiedValue, rule)) {
+        if (originalValue === modifiedValue) {
+            return false;
+        }
+
+        const originalNumber = this.toNumber(originalValue, originalType);
+        const modifiedNumber = this.toNumber(modifiedValue, modifiedType);
+        if (originalNumber !== null && modifiedNumber !== null) {
+            if (rule.ignoreTime && ValueTypes.commonType(originalType, modifiedType) === 'date') {
+                return this.exceedsTolerance(Math.floor(originalNumber), Math.floor(modifiedNumber), rule);
+            }
+            return this.exceedsTolerance(originalNumber, modifiedNumber, rule);
+        }
+
+        return this.normalizeText(ValueTypes.toText(originalValue, originalType), rule) !==
+            this.normalizeText(ValueTypes.toText(modifiedValue, modifiedType), rule);
+    }
+
+    // Text in one of the accepted date formats compares with date cells, unless the column is read as text
+    getValueType(cell, value, rule = DEFAULT_COLUMN_RULE) {
+        if (rule.valueType) return rule.valueType;
+        const type = ValueTypes.detect(cell, value);
+        if (type === 'text' && typeof value === 'string' && ValueTypes.parseDate(value, this.dateFormats) !== null) {
+            return 'date';
+        }
+        return type;
+    }
+
+    toNumber(value, type) {
+        if (type === 'date' && typeof value === 'string') {
+            return ValueTypes.parseDate(value, this.dateFormats);
+        }
+        return ValueTypes.toNumber(value, type);
+    }
+
+    exceedsTolerance(originalNumber, modifiedNumber, rule) {
+        const tolerance = rule.relativeTolerance
+            ? Math.abs(originalNumber) * rule.tolerance / 100
+            : rule.tolerance;
+        return Math.abs(originalNumber - modifiedNumber) > tolerance + ENGINE_CONFIG.NUMERIC_EPSILON;
+    }
+
+    normalizeText(value, rule) {
+        let text = String(value).trim();
+        if (rule.collapseWhitespace) {
+            text = text.replace(/\s+/g, ' ');
+        }
+        if (rule.ignoreCase) {
+            text = text.toLowerCase();
+        }
+        return text;
+    }
+
+    /**
+     * Grid model of one compared sheet for the in-browser viewer. Values are formatted as in the
+     * report; changes maps a column index to the difference's changeType for changed cells.
+     */
+    getSheetView(sheetIndex) {
+        const sheetDiff = this.sheetDiffs[sheetIndex];
+        if (!sheetDiff) {
+            throw new Error(`No compared sheet at index ${sheetIndex}`);
+        }
+
+        const { sheet: sheetName, original: originalSheet, modified: modifiedSheet, rowPairs, columnPairs, originalColumnIndex } = sheetDiff;
+        const formatCell = (sheetData, row, col, rule) => {
+            const value = this.getPairValue(sheetData.getRow(row), col);
+            const cell = sheetData.getCell(row, col);
+            return ValueTypes.format(value, this.getValueType(cell, value, rule), cell);
+        };
+
+        return {
+            sheet: sheetName,
+            modifiedSheet: sheetDiff.modifiedSheet,
+            columns: columnPairs.map(columnPair => ({
+                label: this.getColumnLabel(columnPair),
+                status: columnPair.status
+            })),
+            rows: rowPairs.map(pair => {
+                const changes = {};
+                pair.differences.forEach(difference => {
+                    changes[originalColumnIndex[difference.col - 1]] = difference.changeType;
+                });
+
+                return {
+                    originalRow: pair.originalRow === null ? null : originalSheet.getSheetRowNumber(pair.originalRow),
+                    modifiedRow: pair.modifiedRow === null ? null : modifiedSheet.getSheetRowNumber(pair.modifiedRow),
+                    key: pair.key,
+                    original: columnPairs.map(columnPair => formatCell(originalSheet, pair.originalRow, columnPair.originalCol, columnPair.rule)),
+                    modified: columnPairs.map(columnPair => formatCell(modifiedSheet, pair.modifiedRow, columnPair.modifiedCol, columnPair.rule)),
+                    changes
+                };
+            })
+        };
+    }
+
+    /**
+     * The original workbook with the accepted differences (indexes into comparisonResult.differences)
+     * copied in from the modified file, as an xlsx ArrayBuffer. An accepted cell takes the modified
+     * value and formula and keeps the original cell's fill, number format, comment and link; other
+     * cells and sheets are written back as read. recordChanges appends an Applied Changes sheet.
+     */
+    mergeWorkbook(acceptedIndices, { recordChanges = true } = {}) {
+        const differences = this.comparisonResult.differences;
+        const workbook = {
+            ...this.originalData,
+            SheetNames: [...this.originalData.SheetNames],
+            Sheets: {}
+        };
+        this.originalData.SheetNames.forEach(name => {
+            workbook.Sheets[name] = ComparisonEngine.getWritableSheet(this.originalData.Sheets[name]);
+        });
+
+        const applied = acceptedIndices.map(index => {
+            const difference = differences[index];
+            if (!difference) {
+                throw new Error(`No difference at index ${index}`);
+            }
+            const modifiedSheet = this.modifiedData.Sheets[difference.modifiedSheet];
+            this.mergeCell(workbook.Sheets[difference.sheet], difference.cellRef, modifiedSheet[difference.modifiedCellRef]);
+            return difference;
+        });
+
+        if (recordChanges) {
+            this.appendAppliedChangesSheet(workbook, applied);
+        }
+        return this.writeReport(workbook);
+    }
+
+    // SheetJS reads only a cell's fill (as { patternType, fgColor }); the writer expects it under fill
+    static getWritableStyle(style) {
+        if (!style || !style.patternType || style.patternType === 'none') return null;
+        return { fill: { patternType: style.patternType, fgColor: style.fgColor, bgColor: style.bgColor } };
+    }
+
+    // A copy of a read worksheet whose cell styles can be written back
+    static getWritableSheet(worksheet) {
+        const copy = {};
+        Object.keys(worksheet).forEach(key => {
+            const cell = worksheet[key];
+            if (key[0] === '!' || !cell.s) {
+                copy[key] = cell;
+                return;
+            }
+            const { s, ...rest } = cell;
+            const style = ComparisonEngine.getWritableStyle(s);
+            copy[key] = style ? { ...rest, s: style } : rest;
+        });
+        return copy;
+    }
+
+    // A missing or blank source cell clears the target; a number format other than General is kept, so
+    // an accepted value is still shown as the original column's date, percentage or currency
+    mergeCell(worksheet, cellRef, source) {
+        const target = worksheet[cellRef];
+        const kept = {};
+        if (target) {
+            ['s', 'c', 'l'].forEach(property => {
+                if (target[property]) kept[property] = target[property];
+            });
+        }
+
+        if (!source || ((source.v === undefined || source.v === '') && !source.f)) {
+            if (Object.keys(kept).length > 0) {
+                worksheet[cellRef] = { t: 'z', ...kept };
+            } else {
+                delete worksheet[cellRef];
+            }
+            return;
+        }
+
+        const cell = { t: source.t, v: source.v, ...kept };
+        if (source.f) cell.f = source.f;
+        const format = target && target.z && target.z !== 'General' ? target.z : source.z;
+        if (format) cell.z = format;
+        if (!target && source.s) {
+            const style = ComparisonEngine.getWritableStyle(source.s);
+            if (style) cell.s = style;
+        }
+        worksheet[cellRef] = cell;
+
+        const position = XLSX.utils.decode_cell(cellRef);
+        const range = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : { s: position, e: position };
+        range.s = { r: Math.min(range.s.r, position.r), c: Math.min(range.s.c, position.c) };
+        range.e = { r: Math.max(range.e.r, position.r), c: Math.max(range.e.c, position.c) };
+        worksheet['!ref'] = XLSX.utils.encode_range(range);
+    }
+
+    appendAppliedChangesSheet(workbook, applied) {
+        const rows = [['Sheet', 'Cell', 'Column', 'Key', 'Original Value', 'Applied Value', 'Applied From']];
+        applied.forEach(difference => {
+            rows.push([
+                difference.sheet,
+                difference.cellRef,
+                difference.column,
+                difference.key || '',
+                difference.originalValue,
+                difference.modifiedValue,
+                `${difference.modifiedSheet}!${difference.modifiedCellRef}`
+            ]);
+        });
+        if (applied.length === 0) {
+            rows.push(['No changes applied']);
+        }
+
+        const worksheet = XLSX.utils.aoa_to_sheet(rows);
+        this.formatTable(worksheet, rows, 0);
+        XLSX.utils.book_append_sheet(workbook, worksheet, this.getReportSheetName(workbook, 'Applied Changes'));
+    }
+
+    generateReport(reportFormat, onProgress = () => {}) {
+        this.reportFormat = reportFormat;
+        this.reportProgress = onProgress;
+
+        const reportWorkbook = XLSX.utils.book_new();
+        this.reportCellRefs = new Map();
+        this.createComparisonSheets(reportWorkbook);
+        this.createSchemaChangesSheet(reportWorkbook);
+        this.createFormulaChangesSheet(reportWorkbook);
+        this.createFormattingChangesSheet(reportWorkbook);
+
+        // Summary and All Changes link into the comparison tabs, so they are built last and moved to the front
+        this.createAllChangesSheet(reportWorkbook);
+        this.createSummarySheet(reportWorkbook);
+        reportWorkbook.SheetNames.unshift(...reportWorkbook.SheetNames.splice(-2).reverse());
+        return reportWorkbook;
+    }
+
+    createComparisonSheets(workbook) {
+        this.sheetDiffs.forEach((sheetDiff, sheetIndex) => {
+            this.reportSheetProgress = { sheetIndex, sheetCount: this.sheetDiffs.length, sheetName: sheetDiff.sheet };
+
+            const { rows, highlights } = this.reportFormat === 'single' 
+                ? this.createComparisonDataSingleCell(sheetDiff)
+                : this.createComparisonDataMultiCell(sheetDiff);
+            const tableRowCount = rows.length;
+
+            const comparisonData = rows.concat([['']], this.getLegendRows());
+            this.appendRowChanges(comparisonData, sheetIndex);
+            
+            const comparisonSheet = XLSX.utils.aoa_to_sheet(comparisonData);
+            this.applyHighlights(comparisonSheet, highlights);
+            this.applyLegendHighlights(comparisonSheet, tableRowCount + 1);
+            this.formatTable(comparisonSheet, rows, 0);
+            
+            sheetDiff.reportSheetName = this.getReportSheetName(workbook, sheetDiff.sheet, '_Comparison');
+            XLSX.utils.book_append_sheet(workbook, comparisonSheet, sheetDiff.reportSheetName);
+            this.recordReportCells(sheetDiff);
+        });
+    }
+
+    // Remembers where each difference landed in its comparison tab (row 0 is the header)
+    recordReportCells(sheetDiff) {
+        const columnsPerField = this.reportFormat === 'single' ? 1 : 3;
+        const reportPositions = new Map(this.getReportColumns(sheetDiff).map((columnPair, position) => [columnPair, position]));
+
+        sheetDiff.rowPairs.forEach((pair, pairIndex) => {
+            pair.differences.forEach(difference => {
+                const position = reportPositions.get(sheetDiff.columnPairs[sheetDiff.originalColumnIndex[difference.col - 1]]);
+                const col = position === 0 ? 0 : 1 + (position - 1) * columnsPerField;
+                this.reportCellRefs.set(difference, {
+                    sheetName: sheetDiff.reportSheetName,
+                    cellRef: XLSX.utils.encode_cell({ r: pairIndex + 1, c: col })
+                });
+            });
+        });
+    }
+
+    getInternalLink(sheetName, cellRef) {
+        return { Target: `#'${sheetName.replace(/'/g, "''")}'!${cellRef}` };
+    }
+
+    getLinkStyle() {
+        return { font: { color: { rgb: '0563C1' }, underline: true } };
+    }
+
+    // Only values of one numeric type have a delta: 5 → 50% is a type change, not +49.5
+    getDelta(originalValue, modifiedValue, originalType, modifiedType) {
+        const type = ValueTypes.commonType(originalType, modifiedType);
+        if (!ValueTypes.NUMERIC.includes(type)) return null;
+
+        const originalNumber = this.toNumber(originalValue, originalType);
+        const modifiedNumber = this.toNumber(modifiedValue, modifiedType);
+        if (originalNumber === null || modifiedNumber === null) return null;
+        return Math.round((modifiedNumber - originalNumber) * 1e10) / 1e10;
+    }
+
+    createAllChangesSheet(workbook) {
+        const { differences, compareFormulas } = this.comparisonResult;
+        const header = ['Sheet', 'Cell', 'Key', 'Column', 'Original Value', 'Modified Value', 'Delta'];
+        if (compareFormulas) {
+            header.push('Change');
+        }
+
+        const changesData = [['ALL CHANGES'], [''], header];
+        const changeLabels = { value: 'VALUE', formula: 'FORMULA ONLY', both: 'VALUE AND FORMULA' };
+        differences.forEach(difference => {
+            const row = [
+                difference.sheet,
+                difference.cellRef,
+                difference.key || '',
+                difference.column,
+                difference.originalValue,
+                difference.modifiedValue,
+                difference.delta === null ? '' : difference.delta
+            ];
+            if (compareFormulas) {
+                row.push(changeLabels[difference.changeType]);
+            }
+            changesData.push(row);
+        });
+
+        const worksheet = XLSX.utils.aoa_to_sheet(changesData);
+        differences.forEach((difference, index) => {
+            const target = this.reportCellRefs.get(difference);
+            const cell = worksheet[XLSX.utils.encode_cell({ r: index + 3, c: 1 })];
+            if (target && cell) {
+                cell.l = this.getInternalLink(target.sheetName, target.cellRef);
+                cell.s = this.getLinkStyle();
+            }
+        });
+        this.formatTable(worksheet, changesData, 2);
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'All Changes');
+    }
+
+    getRuleSummaryRows() {
+        const { columnRules, ignoreCase, collapseWhitespace, ignoreTimeOfDay, dateFormats } = this.comparisonResult;
+        const rows = [];
+        const globalSettings = [
+            ignoreCase && 'case-insensitive',
+            collapseWhitespace && 'whitespace collapsed',
+            ignoreTimeOfDay && 'time of day ignored'
+        ].filter(Boolean);
+        if (globalSettings.length > 0) {
+            rows.push(['All Columns', globalSettings.join(', ')]);
+        }
+        if (dateFormats.length > 1) {
+            rows.push(['Text Dates', dateFormats.join(', ')]);
+        }
+        columnRules.forEach((rule, index) => {
+            rows.push([index === 0 ? 'Column Rules' : '', ComparisonEngine.describeColumnRule(rule)]);
+        });
+        return rows;
+    }
+
+    createSummarySheet(workbook) {
+        const result = this.comparisonResult;
+        const summaryData = [
+            ['COMPARISON SUMMARY'],
+            ['Original File', result.originalFile],
+            ['Modified File', result.modifiedFile],
+            ['Compared On', result.comparisonDate],
+            ['Report Format', this.reportFormat === 'single' ? 'Single Cell' : 'Multi Cell'],
+            ...this.getRuleSummaryRows(),
+            [''],
+            ['Sheet', 'Compared With', 'Range', 'Cells Changed', 'Cells Added', 'Cells Removed',
+                'Rows Changed', 'Rows Added', 'Rows Removed', 'Columns Added', 'Columns Removed']
+        ];
+        const headerRow = summaryData.length - 1;
+        const countKeys = ['cellsChanged', 'cellsAdded', 'cellsRemoved', 'rowsChanged', 'rowsAdded', 'rowsRemoved', 'columnsAdded', 'columnsRemoved'];
+
+        result.sheetSummaries.forEach(summary => {
+            summaryData.push([summary.sheet, summary.modifiedSheet, summary.range || 'Whole sheet', ...countKeys.map(key => summary[key])]);
+        });
+        const tableRows = summaryData.slice();
+        summaryData.push(['Total', '', '', ...countKeys.map(key => result.sheetSummaries.reduce((sum, summary) => sum + summary[key], 0))]);
+
+        if (result.sheetChanges.length > 0) {
+            summaryData.push(['']);
+            result.sheetChanges.forEach(change => {
+                summaryData.push([ComparisonEngine.describeSheetChange(change)]);
+            });
+        }
+
+        const worksheet = XLSX.utils.aoa_to_sheet(summaryData);
+        this.sheetDiffs.forEach((sheetDiff, index) => {
+            const cell = worksheet[XLSX.utils.encode_cell({ r: headerRow + 1 + index, c: 0 })];
+            if (cell && sheetDiff.reportSheetName) {
+                cell.l = this.getInternalLink(sheetDiff.reportSheetName, 'A1');
+                cell.s = this.getLinkStyle();
+            }
+        });
+        const totalCell = worksheet[XLSX.utils.encode_cell({ r: tableRows.length, c: 0 })];
+        if (totalCell) {
+            totalCell.s = { font: { bold: true } };
+        }
+        this.formatTable(worksheet, tableRows, headerRow);
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Summary');
+    }
+
+    getLegendRows() {
+        const legendRows = [
+            ['COMPARISON LEGEND'],
+            ['Red fill = Value changed ([CHANGED] marks the row)'],
+            ['Green fill = Row or column added in the modified file'],
+            ['Grey fill = Row or column removed from the original file'],
+            ['[ADDED row N] / [REMOVED row N] = Row inserted in the modified file / deleted from the original file']
+        ];
+        if (this.comparisonResult.compareFormulas) {
+            legendRows.push(['Formula only / Value and formula = The cell formula changed (listed on the Formula Changes sheet)']);
+        }
+        legendRows.push([this.reportFormat === 'single'
+            ? 'Format: Single Cell (Original Value, Changed Value, Difference)'
+            : 'Format: Multi Cell (Separate columns for Original, Changed, Difference)']);
+        return legendRows;
+    }
+
+    // The colour lines of the legend are filled with the colour they describe
+    applyLegendHighlights(worksheet, legendStartRow) {
+        ['changed', 'added', 'removed'].forEach((kind, index) => {
+            const cell = worksheet[XLSX.utils.encode_cell({ r: legendStartRow + index + 1, c: 0 })];
+            if (cell) {
+                cell.s = this.getHighlightStyle(kind, false);
+            }
+        });
+    }
+
+    getHighlightStyle(kind, isHeader) {
+        const colors = REPORT_HIGHLIGHTS[kind];
+        return {
+            fill: { patternType: 'solid', fgColor: { rgb: colors.fill } },
+            font: { color: { rgb: colors.font }, bold: isHeader },
+            border: isHeader ? { bottom: { style: 'thin', color: { rgb: '808080' } } } : undefined
+        };
+    }
+
+    // highlights[r][c] names the REPORT_HIGHLIGHTS entry of a cell; row 0 is the header
+    applyHighlights(worksheet, highlights) {
+        highlights.forEach((rowHighlights, row) => {
+            rowHighlights.forEach((kind, col) => {
+                if (!kind) return;
+                const cellRef = XLSX.utils.encode_cell({ r: row, c: col });
+                if (!worksheet[cellRef]) {
+                    worksheet[cellRef] = { t: 's', v: '' };
+                }
+                worksheet[cellRef].s = this.getHighlightStyle(kind, row === 0);
+            });
+        });
+    }
+
+    // Bold frozen header, autofilter and column widths fitted to the table rows
+    formatTable(worksheet, rows, headerRow) {
+        const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        if (columnCount === 0) return;
+
+        for (let col = 0; col < columnCount; col++) {
+            const cell = worksheet[XLSX.utils.encode_cell({ r: headerRow, c: col })];
+            if (cell && !cell.s) {
+                cell.s = this.getHighlightStyle('header', true);
+            }
+        }
+
+        const widths = new Array(columnCount).fill(ENGINE_CONFIG.MIN_COLUMN_WIDTH);
+        for (let row = headerRow; row < rows.length; row++) {
+            rows[row].forEach((value, col) => {
+                const length = String(value === null || value === undefined ? '' : value).length + 2;
+                if (length > widths[col]) {
+                    widths[col] = Math.min(length, ENGINE_CONFIG.MAX_COLUMN_WIDTH);
+                }
+            });
+        }
+
+        worksheet['!cols'] = widths.map(wch => ({ wch }));
+        worksheet['!autofilter'] = {
+            ref: XLSX.utils.encode_range({ s: { r: headerRow, c: 0 }, e: { r: Math.max(rows.length - 1, headerRow), c: columnCount - 1 } })
+        };
+        // Not understood by SheetJS; writeReport turns it into a frozen pane
+        worksheet['!freeze'] = { rows: headerRow + 1 };
+    }
+
+    // Writes the report as an xlsx ArrayBuffer, freezing the header rows marked by formatTable
+    writeReport(workbook) {
+        const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        const frozenSheets = workbook.SheetNames
+            .map((name, index) => ({ index, freeze: workbook.Sheets[name]['!freeze'] }))
+            .filter(sheet => sheet.freeze);
+        if (frozenSheets.length === 0) return data;
+
+        const zip = XLSX.CFB.read(new Uint8Array(data), { type: 'array' });
+        frozenSheets.forEach(({ index, freeze }) => {
+            const entry = XLSX.CFB.find(zip, `/xl/worksheets/sheet${index + 1}.xml`);
+            if (!entry) return;
+
+            const topLeftCell = XLSX.utils.encode_cell({ r: freeze.rows, c: 0 });
+            const pane = `<pane ySplit="${freeze.rows}" topLeftCell="${topLeftCell}" activePane="bottomLeft" state="frozen"/>` +
+                `<selection pane="bottomLeft" activeCell="${topLeftCell}" sqref="${topLeftCell}"/>`;
+            const xml = new TextDecoder().decode(entry.content)
+                .replace(/<sheetView\b([^>]*?)\/>/, `<sheetView$1>${pane}</sheetView>`);
+            entry.content = new TextEncoder().encode(xml);
+        });
+
+        const zipped = XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' });
+        return zipped.buffer.slice(zipped.byteOffset, zipped.byteOffset + zipped.byteLength);
+    }
+
+    // Excel limits sheet names to 31 characters and requires them to be unique
+    getReportSheetName(workbook, baseName, suffix = '') {
+        const maxLength = 31;
+        let name = `${baseName.substring(0, maxLength - suffix.length)}${suffix}`;
+        let counter = 2;
+
+        while (workbook.SheetNames.includes(name)) {
+            const counterSuffix = ` (${counter++})${suffix}`;
+            name = `${baseName.substring(0, maxLength - counterSuffix.length)}${counterSuffix}`;
+        }
+
+        return name;
+    }
+
+    createComparisonDataSingleCell(sheetDiff) {
+        const { original: originalSheet, modified: modifiedSheet, rowPairs } = sheetDiff;
+        const columnPairs = this.getReportColumns(sheetDiff);
+        const comparisonData = [];
+        const highlights = [];
+
+        comparisonData.push(columnPairs.map(columnPair => this.getColumnLabel(columnPair)));
+        highlights.push(columnPairs.map(columnPair => this.getColumnHighlight(columnPair) || 'header'));
+
+        rowPairs.forEach((pair, pairIndex) => {
+            this.updateReportProgress(pairIndex, rowPairs.length);
+            const comparisonRow = [];
+            const rowHighlights = [];
+            const originalRowData = originalSheet.getRow(pair.originalRow);
+            const modifiedRowData = modifiedSheet.getRow(pair.modifiedRow);
+            const hasAnyDifference = pair.differences.length > 0;
+            const changedCols = new Set(pair.differences.map(difference => difference.col - 1));
+            
+            columnPairs.forEach((columnPair, index) => {
+                const originalValue = this.getPairValue(originalRowData, columnPair.originalCol);
+                const modifiedValue = this.getPairValue(modifiedRowData, columnPair.modifiedCol);
+                const highlight = this.getCellHighlight(pair, columnPair, changedCols, index === 0 && hasAnyDifference);
+                rowHighlights.push(highlight);
+
+                if (index === 0) {
+                    comparisonRow.push(this.getRowLabel(sheetDiff, pair, changedCols.has(columnPair.originalCol), hasAnyDifference, originalValue, modifiedValue));
+                } else {
+                    const originalCellInfo = originalSheet.getCell(pair.originalRow, columnPair.originalCol);
+                    const modifiedCellInfo = modifiedSheet.getCell(pair.modifiedRow, columnPair.modifiedCol);
+                    
+                    const formattedComparison = this.createValueComparisonSingleCell(
+                        originalValue, modifiedValue, 
+                        originalCellInfo, modifiedCellInfo, 
+                        columnPair.rule
+                    );
+                    const cellNote = this.getCellNote(pair, columnPair, changedCols, originalValue, modifiedValue, originalCellInfo, modifiedCellInfo);
+                    comparisonRow.push(cellNote && formattedComparison ? `${formattedComparison}, ${cellNote}` : (cellNote || formattedComparison));
+                }
+            });
+            
+            comparisonData.push(comparisonRow);
+            highlights.push(rowHighlights);
+        });
+
+        return { rows: comparisonData, highlights };
+    }
+
+    createComparisonDataMultiCell(sheetDiff) {
+        const { original: originalSheet, modified: modifiedSheet, rowPairs } = sheetDiff;
+        const columnPairs = this.getReportColumns(sheetDiff);
+        const comparisonData = [];
+        const highlights = [];
+
+        const headerRow = [columnPairs.length > 0 ? this.getColumnLabel(columnPairs[0]) : ''];
+        const headerHighlights = [this.getColumnHighlight(columnPairs[0] || {}) || 'header'];
+        columnPairs.slice(1).forEach(columnPair => {
+            const columnLabel = this.getColumnLabel(columnPair);
+            const highlight = this.getColumnHighlight(columnPair) || 'header';
+            headerRow.push(`${columnLabel} - Original Value`, `${columnLabel} - Changed Value`, `${columnLabel} - Difference`);
+            headerHighlights.push(highlight, highlight, highlight);
+        });
+        comparisonData.push(headerRow);
+        highlights.push(headerHighlights);
+
+        rowPairs.forEach((pair, pairIndex) => {
+            this.updateReportProgress(pairIndex, rowPairs.length);
+            const comparisonRow = [];
+            const rowHighlights = [];
+            const originalRowData = originalSheet.getRow(pair.originalRow);
+            const modifiedRowData = modifiedSheet.getRow(pair.modifiedRow);
+            const hasAnyDifference = pair.differences.length > 0;
+            const changedCols = new Set(pair.differences.map(difference => difference.col - 1));
+            
+            columnPairs.forEach((columnPair, index) => {
+                const originalValue = this.getPairValue(originalRowData, columnPair.originalCol);
+                const modifiedValue = this.getPairValue(modifiedRowData, columnPair.modifiedCol);
+                const highlight = this.getCellHighlight(pair, columnPair, changedCols, index === 0 && hasAnyDifference);
+
+                if (index === 0) {
+                    comparisonRow.push(this.getRowLabel(sheetDiff, pair, changedCols.has(columnPair.originalCol), hasAnyDifference, originalValue, modifiedValue));
+                    rowHighlights.push(highlight);
+                } else {
+                    const originalCellInfo = originalSheet.getCell(pair.originalRow, columnPair.originalCol);
+                    const modifiedCellInfo = modifiedSheet.getCell(pair.modifiedRow, columnPair.modifiedCol);
+                    
+                    const { original, changed, difference } = this.createValueComparisonMultiCell(
+                        originalValue, modifiedValue, 
+                        originalCellInfo, modifiedCellInfo, 
+                        columnPair.rule
+                    );
+                    
+                    const cellNote = this.getCellNote(pair, columnPair, changedCols, originalValue, modifiedValue, originalCellInfo, modifiedCellInfo);
+                    comparisonRow.push(original, changed, cellNote && difference ? `${difference}; ${cellNote}` : (cellNote || difference));
+                    rowHighlights.push(highlight, highlight, highlight);
+                }
+            });
+            
+            comparisonData.push(comparisonRow);
+            highlights.push(rowHighlights);
+        });
+
+        return { rows: comparisonData, highlights };
+    }
+
+    getColumnHighlight(columnPair) {
+        if (columnPair.status === 'added') return 'added';
+        if (columnPair.status === 'removed') return 'removed';
+        return null;
+    }
+
+    // Added and removed rows and columns win over changed cells
+    getCellHighlight(pair, columnPair, changedCols, isChangedLabel) {
+        if (pair.originalRow === null) return 'added';
+        if (pair.modifiedRow === null) return 'removed';
+        const columnHighlight = this.getColumnHighlight(columnPair);
+        if (columnHighlight) return columnHighlight;
+        if (isChangedLabel || changedCols.has(columnPair.originalCol)) return 'changed';
+        return null;
+    }
+
+    updateReportProgress(pairIndex, rowCount) {
+        if (pairIndex % ENGINE_CONFIG.PROGRESS_INTERVAL_ROWS !== 0) return;
+
+        const { sheetIndex, sheetCount, sheetName } = this.reportSheetProgress;
+        this.reportProgress(
+            (sheetIndex + pairIndex / rowCount) / sheetCount,
+            `Writing report for "${sheetName}" (sheet ${sheetIndex + 1} of ${sheetCount}): row ${ComparisonUtils.formatNumber(pairIndex + 1)} of ${ComparisonUtils.formatNumber(rowCount)}`
+        );
+    }
+
+    // Zero and FALSE are values; only missing cells are blank
+    getPairValue(rowData, col) {
+        if (col === null) return '';
+        const value = rowData[col];
+        return value === undefined || value === null ? '' : value;
+    }
+
+    // The label column comes first and names each row; the other columns keep their order
+    getReportColumns(sheetDiff) {
+        const { columnPairs, labelIndex = 0 } = sheetDiff;
+        if (columnPairs.length === 0) return columnPairs;
+        return [columnPairs[labelIndex], ...columnPairs.filter((columnPair, index) => index !== labelIndex)];
+    }
+
+    getFormulaNote(pair, columnPair) {
+        if (columnPair.originalCol === null) return '';
+        const difference = pair.differences.find(cellDifference => cellDifference.col - 1 === columnPair.originalCol);
+        return difference && difference.changeType !== 'value' ? ComparisonEngine.describeFormulaChange(difference) : '';
+    }
+
+    getCellNote(pair, columnPair, changedCols, originalValue, modifiedValue, originalCell, modifiedCell) {
+        return [
+            this.getFormulaNote(pair, columnPair),
+            this.getRuleNote(pair, columnPair, changedCols, originalValue, modifiedValue, originalCell, modifiedCell)
+        ].filter(note => note).join('; ');
+    }
+
+    // Explains values that differ but are not marked as changed because of a column rule
+    getRuleNote(pair, columnPair, changedCols, originalValue, modifiedValue, originalCell, modifiedCell) {
+        if (columnPair.rule === DEFAULT_COLUMN_RULE || pair.originalRow === null || pair.modifiedRow === null) return '';
+        if (columnPair.originalCol === null || columnPair.modifiedCol === null || changedCols.has(columnPair.originalCol)) return '';
+        const originalType = this.getValueType(originalCell, originalValue, columnPair.rule);
+        const modifiedType = this.getValueType(modifiedCell, modifiedValue, columnPair.rule);
+        const exactRule = { ...DEFAULT_COLUMN_RULE, valueType: columnPair.rule.valueType };
+        if (!this.valuesAreDifferent(originalValue, modifiedValue, exactRule, originalType, modifiedType)) return '';
+        if (columnPair.rule.ignore) return 'Ignored column';
+
+        if (this.toNumber(originalValue, originalType) === null || this.toNumber(modifiedValue, modifiedType) === null) {
+            return 'Equal ignoring case/whitespace';
+        }
+        const isSameDay = columnPair.rule.ignoreTime && ValueTypes.commonType(originalType, modifiedType) === 'date' &&
+            Math.floor(this.toNumber(originalValue, originalType)) === Math.floor(this.toNumber(modifiedValue, modifiedType));
+        return isSameDay ? 'Same day' : 'Within tolerance';
+    }
+
+    getColumnLabel(columnPair) {
+        const markers = {
+            added: ' [ADDED]',
+            removed: ' [REMOVED]',
+            moved: ' [MOVED]',
+            renamed: ` [RENAMED from ${columnPair.originalHeader}]`
+        };
+        const ignoredMarker = columnPair.rule && columnPair.rule.ignore ? ' [IGNORED]' : '';
+        return `${columnPair.header}${markers[columnPair.status] || ''}${ignoredMarker}`;
+    }
+
+    createSchemaChangesSheet(workbook) {
+        const { schemaChanges, sheetChanges } = this.comparisonResult;
+        if (schemaChanges.length === 0 && sheetChanges.length === 0) return;
+
+        const schemaData = [['SCHEMA CHANGES'], [''], ['Sheet', 'Change', 'Column', 'Original Column', 'Modified Column', 'Details']];
+        sheetChanges.forEach(change => {
+            schemaData.push([change.sheet, `SHEET ${change.type.toUpperCase()}`, '', '', '', ComparisonEngine.describeSheetChange(change)]);
+        });
+        schemaChanges.forEach(change => {
+            schemaData.push([
+                change.sheet,
+                change.type.toUpperCase(),
+                change.header,
+                change.originalColumn || '',
+                change.modifiedColumn || '',
+                ComparisonEngine.describeSchemaChange(change)
+            ]);
+        });
+
+        const worksheet = XLSX.utils.aoa_to_sheet(schemaData);
+        this.formatTable(worksheet, schemaData, 2);
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Schema Changes');
+    }
+
+    createFormulaChangesSheet(workbook) {
+        const formulaDifferences = this.comparisonResult.differences.filter(difference => difference.changeType !== 'value');
+        if (formulaDifferences.length === 0) return;
+
+        const formulaData = [
+            ['FORMULA CHANGES'],
+            [''],
+            ['Sheet', 'Cell', 'Key', 'Change', 'Original Formula', 'Modified Formula', 'Original Value', 'Modified Value', 'Details']
+        ];
+        const changeLabels = { formula: 'FORMULA ONLY', both: 'VALUE AND FORMULA' };
+        formulaDifferences.forEach(difference => {
+            formulaData.push([
+                difference.sheet,
+                difference.cellRef,
+                difference.key || '',
+                difference.formulaChange ? difference.formulaChange.toUpperCase().replace(/-/g, ' ') : changeLabels[difference.changeType],
+                difference.originalFormula ? `=${difference.originalFormula}` : '',
+                difference.modifiedFormula ? `=${difference.modifiedFormula}` : '',
+                difference.originalValue,
+                difference.modifiedValue,
+                ComparisonEngine.describeFormulaChange(difference)
+            ]);
+        });
+
+        const worksheet = XLSX.utils.aoa_to_sheet(formulaData);
+        this.formatTable(worksheet, formulaData, 2);
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Formula Changes');
+    }
+
+    createFormattingChangesSheet(workbook) {
+        const formatChanges = this.comparisonResult.formatChanges;
+        if (formatChanges.length === 0) return;
+
+        const changeLabels = {
+            numberFormat: 'NUMBER FORMAT',
+            comment: 'COMMENT',
+            hyperlink: 'HYPERLINK',
+            merge: 'MERGED CELLS',
+            hiddenRow: 'HIDDEN ROW',
+            hiddenColumn: 'HIDDEN COLUMN'
+        };
+        const formattingData = [
+            ['STRUCTURE AND FORMATTING CHANGES'],
+            [''],
+            ['Sheet', 'Change', 'Location', 'Key', 'Original', 'Modified', 'Details']
+        ];
+        formatChanges.forEach(change => {
+            formattingData.push([
+                change.sheet,
+                changeLabels[change.type] || change.type,
+                change.location,
+                change.key || '',
+                change.originalValue,
+                change.modifiedValue,
+                ComparisonEngine.describeFormatChange(change)
+            ]);
+        });
+
+        const worksheet = XLSX.utils.aoa_to_sheet(formattingData);
+        this.formatTable(worksheet, formattingData, 2);
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Formatting Changes');
+    }
+
+    getRowLabel(sheetDiff, pair, labelChanged, hasAnyDifference, originalLabel, modifiedLabel) {
+        if (pair.originalRow === null) {
+            return `[ADDED row ${sheetDiff.modified.getSheetRowNumber(pair.modifiedRow)}] ${modifiedLabel}`;
+        }
+        if (pair.modifiedRow === null) {
+            return `[REMOVED row ${sheetDiff.original.getSheetRowNumber(pair.originalRow)}] ${originalLabel}`;
+        }
+        if (labelChanged) {
+            return `[CHANGED] ${originalLabel} → ${modifiedLabel}`;
+        }
+        return hasAnyDifference ? `[CHANGED] ${originalLabel}` : originalLabel;
+    }
+
+    appendRowChanges(comparisonData, sheetIndex) {
+        const sheetRowChanges = this.comparisonResult.rowChanges.filter(change => change.sheetIndex === sheetIndex);
+        if (sheetRowChanges.length === 0) return;
+
+        comparisonData.push(['']);
+        comparisonData.push(['ROW CHANGES']);
+        sheetRowChanges.forEach(change => {
+            comparisonData.push([ComparisonEngine.describeRowChange(change)]);
+        });
+    }
+
+    createValueComparisonSingleCell(originalValue, modifiedValue, originalCell, modifiedCell, rule) {
+        const { original, changed, difference } = this.createValueComparisonMultiCell(originalValue, modifiedValue, originalCell, modifiedCell, rule);
+        if (original === '' && changed === '') {
+            return '';
+        }
+        return `Original Value: ${original}, Changed Value: ${changed}, Difference: ${difference}`;
+    }
+
+    createValueComparisonMultiCell(originalValue, modifiedValue, originalCell, modifiedCell, rule) {
+        if (originalValue === '' && modifiedValue === '') {
+            return { original: '', changed: '', difference: '' };
+        }
+
+        const originalType = this.getValueType(originalCell, originalValue, rule);
+        const modifiedType = this.getValueType(modifiedCell, modifiedValue, rule);
+        return {
+            original: ValueTypes.format(originalValue, originalType, originalCell),
+            changed: ValueTypes.format(modifiedValue, modifiedType, modifiedCell),
+            difference: this.describeDifference(originalValue, modifiedValue, originalType, modifiedType, originalCell || modifiedCell)
+        };
+    }
+
+    // Report text of a cell's difference, formatted for its type ("+2 days", "-1.5 pp")
+    describeDifference(originalValue, modifiedValue, originalType, modifiedType, cell) {
+        const delta = this.getDelta(originalValue, modifiedValue, originalType, modifiedType);
+        if (delta !== null) {
+            return ValueTypes.formatDifference(delta, ValueTypes.commonType(originalType, modifiedType), cell);
+        }
+        if (originalValue === '' || modifiedValue === '') {
+            return 'N/A (blank)';
+        }
+        if (ValueTypes.NUMERIC.includes(ValueTypes.commonType(originalType, modifiedType))) {
+            return 'N/A (non-numeric)';
+        }
+        // No delta between text, booleans or errors, nor across types (number → percent)
+        return `N/A (${originalType === modifiedType ? originalType : `${originalType} → ${modifiedType}`})`;
+    }
+}
+
+/**
+ * Three-way comparison of two edited copies (A and B) of a common base workbook. Each copy is
+ * diffed against the base with its own ComparisonEngine; the two sets of changes are then
+ * classified per base cell and row as changed only in A, only in B, identically in both, or
+ * in conflict. Locations are the base file's.
+ */
+class ThreeWayComparison {
+    constructor(baseData, aData, bData, options, fileNames) {
+        // Sheets are paired by name across the three files; formatting is not merged
+        const sideOptions = { ...options, sheetMapping: null, compareFormatting: false };
+        this.engines = {
+            a: new ComparisonEngine(baseData, aData, sideOptions, { original: fileNames.base, modified: fileNames.a }),
+            b: new ComparisonEngine(baseData, bData, sideOptions, { original: fileNames.base, modified: fileNames.b })
+        };
+        // The base is read the same way against both sides
+        const textHeaderRows = WorkbookReader.countTextHeaderRows([baseData, aData, bData]);
+        Object.values(this.engines).forEach(engine => {
+            engine.textHeaderRows = textHeaderRows;
+        });
+        this.fileNames = fileNames;
+        this.comparisonResult = null;
+    }
+
+    // Inserted rows are numbered as in A, or in B when only B inserted them
+    static describeRowChange(change) {
+        const side = { a: 'A', b: 'B', both: 'A and B' }[change.side];
+        const description = `Row ${change.row} ${change.type === 'removed' ? 'deleted' : 'inserted'} in ${side}`;
+        return change.key ? `${description}, key: ${change.key}` : description;
+    }
+
+    compare(onProgress = () => {}) {
+        const results = {
+            a: this.engines.a.compare((fraction, text) => onProgress(fraction / 2, `Base vs A: ${text}`)),
+            b: this.engines.b.compare((fraction, text) => onProgress(0.5 + fraction / 2, `Base vs B: ${text}`))
+        };
+
+        onProgress(1, 'Classifying changes...');
+        const removedRows = {
+            a: this.indexRemovedRows(results.a.rowChanges),
+            b: this.indexRemovedRows(results.b.rowChanges)
+        };
+        const cells = this.classifyCells(results, removedRows);
+        const rowChanges = [
+            ...this.classifyRemovedRows(removedRows, cells),
+            ...this.classifyAddedRows(results)
+        ];
+
+        const counts = { conflict: 0, a: 0, b: 0, both: 0 };
+        [...cells, ...rowChanges].forEach(change => {
+            counts[change.status]++;
+        });
+
+        this.comparisonResult = {
+            threeWay: true,
+            cells,
+            rowChanges,
+            counts,
+            totalDifferences: cells.length + rowChanges.length,
+            conflicts: counts.conflict,
+            rowsAdded: rowChanges.filter(change => change.type === 'added').length,
+            rowsRemoved: rowChanges.filter(change => change.type === 'removed').length,
+            sheetsCompared: results.a.sheetsCompared,
+            keyColumns: results.a.keyColumns,
+            schemaChanges: [
+                ...results.a.schemaChanges.map(change => ({ ...change, side: 'a' })),
+                ...results.b.schemaChanges.map(change => ({ ...change, side: 'b' }))
+            ],
+            sheetChanges: [
+                ...results.a.sheetChanges.map(change => ({ ...change, side: 'a' })),
+                ...results.b.sheetChanges.map(change => ({ ...change, side: 'b' }))
+            ],
+            warnings: [...new Set([...results.a.warnings, ...results.b.warnings])],
+            baseFile: this.fileNames.base,
+            originalFile: this.fileNames.a,
+            modifiedFile: this.fileNames.b,
+            comparisonDate: new Date().toISOString()
+        };
+        return this.comparisonResult;
+    }
+
+    // Base rows deleted on one side, as "Sheet!12" (the same row numbers as in cell references)
+    indexRemovedRows(rowChanges) {
+        const removed = new Map();
+        rowChanges
+            .filter(change => change.type === 'removed')
+            .forEach(change => removed.set(`${change.sheet}!${change.row}`, change));
+        return removed;
+    }
+
+    getRowId(sheet, cellRef) {
+        return `${sheet}!${XLSX.utils.decode_cell(cellRef).r + 1}`;
+    }
+
+    classifyCells(results, removedRows) {
+        const cellId = (difference) => `${difference.sheet}!${difference.cellRef}`;
+        const bDifferences = new Map(results.b.differences.map(difference => [cellId(difference), difference]));
+        const cells = [];
+
+        results.a.differences.forEach(aDifference => {
+            const bDifference = bDifferences.get(cellId(aDifference)) || null;
+            bDifferences.delete(cellId(aDifference));
+            cells.push(this.classifyCell(aDifference, bDifference, removedRows));
+        });
+        bDifferences.forEach(bDifference => {
+            cells.push(this.classifyCell(null, bDifference, removedRows));
+        });
+        return cells;
+    }
+
+    // A side without a difference kept the base value, unless it deleted the whole row
+    classifyCell(aDifference, bDifference, removedRows) {
+        const difference = aDifference || bDifference;
+        const rowId = this.getRowId(difference.sheet, difference.cellRef);
+        const sideValue = (sideDifference, side) => {
+            if (sideDifference) return sideDifference.modifiedValue;
+            return removedRows[side].has(rowId) ? null : difference.originalValue;
+        };
+
+        let status;
+        let reason = '';
+        if (aDifference && bDifference) {
+            status = this.isSameEdit(aDifference, bDifference) ? 'both' : 'conflict';
+            reason = status === 'conflict' ? 'Changed differently in A and B' : '';
+        } else if (aDifference) {
+            status = removedRows.b.has(rowId) ? 'conflict' : 'a';
+            reason = status === 'conflict' ? 'Changed in A, row deleted in B' : '';
+        } else {
+            status = removedRows.a.has(rowId) ? 'conflict' : 'b';
+            reason = status === 'conflict' ? 'Changed in B, row deleted in A' : '';
+        }
+
+        return {
+            type: 'cell',
+            sheet: difference.sheet,
+            location: difference.cellRef,
+            column: difference.column,
+            key: difference.key,
+            baseValue: difference.originalValue,
+            aValue: sideValue(aDifference, 'a'),
+            bValue: sideValue(bDifference, 'b'),
+            aCellRef: aDifference ? aDifference.modifiedCellRef : null,
+            bCellRef: bDifference ? bDifference.modifiedCellRef : null,
+            status,
+            reason
+        };
+    }
+
+    // Both sides made the same edit when their new values match under the column's rule
+    isSameEdit(aDifference, bDifference) {
+        const engine = this.engines.a;
+        const sheetDiff = engine.sheetDiffs.find(candidate => candidate.sheet === aDifference.sheet);
+        const columnPair = sheetDiff && sheetDiff.columnPairs[sheetDiff.originalColumnIndex[aDifference.col - 1]];
+        const rule = columnPair ? columnPair.rule : DEFAULT_COLUMN_RULE;
+
+        return !engine.valuesAreDifferent(aDifference.modifiedValue, bDifference.modifiedValue, rule,
+            aDifference.modifiedType, bDifference.modifiedType) &&
+            !engine.formulasAreDifferent(aDifference.modifiedFormula, bDifference.modifiedFormula);
+    }
+
+    // Deleting a row the other side edited is a conflict; deleting it on both sides is not
+    classifyRemovedRows(removedRows, cells) {
+        const editedRows = { a: new Set(), b: new Set() };
+        cells.forEach(cell => {
+            const rowId = this.getRowId(cell.sheet, cell.location);
+            if (cell.aCellRef) editedRows.a.add(rowId);
+            if (cell.bCellRef) editedRows.b.add(rowId);
+        });
+
+        const rowIds = [...new Set([...removedRows.a.keys(), ...removedRows.b.keys()])];
+        return rowIds.map(rowId => {
+            const removedInA = removedRows.a.has(rowId);
+            const removedInB = removedRows.b.has(rowId);
+            const change = removedRows.a.get(rowId) || removedRows.b.get(rowId);
+            const side = removedInA && removedInB ? 'both' : (removedInA ? 'a' : 'b');
+            const otherSide = side === 'a' ? 'b' : 'a';
+            const isConflict = side !== 'both' && editedRows[otherSide].has(rowId);
+            const engine = this.engines[side === 'b' ? 'b' : 'a'];
+
+            return {
+                type: 'removed',
+                sheet: change.sheet,
+                location: `row ${change.row}`,
+                row: change.row,
+                key: change.key,
+                side,
+                baseValue: this.getRowText(this.getRowValues(engine, change, 'original')),
+                aValue: removedInA ? '(row deleted)' : '',
+                bValue: removedInB ? '(row deleted)' : '',
+                status: isConflict ? 'conflict' : side,
+                reason: isConflict ? `Row deleted in ${side.toUpperCase()}, changed in ${otherSide.toUpperCase()}` : ''
+            };
+        });
+    }
+
+    // With key columns, a key inserted on both sides is one row; without keys insertions cannot be matched
+    classifyAddedRows(results) {
+        const rowId = (change) => `${change.sheet}!${change.key}`;
+        const addedInB = new Map(results.b.rowChanges
+            .filter(change => change.type === 'added' && change.key)
+            .map(change => [rowId(change), change]));
+        const rows = [];
+        const addedRow = (side, aChange, bChange, status, reason = '') => {
+            const change = aChange || bChange;
+            return {
+                type: 'added',
+                sheet: change.sheet,
+                location: `${aChange ? 'A' : 'B'} row ${change.row}`,
+                row: change.row,
+                key: change.key,
+                side,
+                baseValue: '',
+                aValue: aChange ? this.getRowText(this.getRowValues(this.engines.a, aChange, 'modified')) : '',
+                bValue: bChange ? this.getRowText(this.getRowValues(this.engines.b, bChange, 'modified')) : '',
+                status,
+                reason
+            };
+        };
+
+        results.a.rowChanges.filter(change => change.type === 'added').forEach(aChange => {
+            const bChange = aChange.key ? addedInB.get(rowId(aChange)) : null;
+            if (!bChange) {
+                rows.push(addedRow('a', aChange, null, 'a'));
+                return;
+            }
+            addedInB.delete(rowId(aChange));
+            const isSame = this.isSameRow(aChange, bChange);
+            rows.push(addedRow('both', aChange, bChange, isSame ? 'both' : 'conflict', isSame ? '' : 'Inserted in A and B with different values'));
+        });
+        results.b.rowChanges
+            .filter(change => change.type === 'added' && (!change.key || addedInB.has(rowId(change))))
+            .forEach(bChange => rows.push(addedRow('b', null, bChange, 'b')));
+        return rows;
+    }
+
+    isSameRow(aChange, bChange) {
+        const aValues = this.getRowValues(this.engines.a, aChange, 'modified');
+        const bValues = this.getRowValues(this.engines.b, bChange, 'modified');
+        const headers = new Set([...aValues.keys(), ...bValues.keys()]);
+        return [...headers].every(header => !this.engines.a.valuesAreDifferent(
+            aValues.has(header) ? aValues.get(header) : '',
+            bValues.has(header) ? bValues.get(header) : ''
+        ));
+    }
+
+    // A row's values by column header; side is 'original' (the base) or 'modified'
+    getRowValues(engine, change, side) {
+        const sheetDiff = engine.sheetDiffs[change.sheetIndex];
+        const sheetData = sheetDiff[side];
+        const col = side === 'original' ? 'originalCol' : 'modifiedCol';
+        const rowData = sheetData.getRow(sheetData.fromSheetRow(change.row - 1));
+        const values = new Map();
+        sheetDiff.columnPairs.forEach(columnPair => {
+            if (columnPair[col] === null) return;
+            const value = engine.getPairValue(rowData, columnPair[col]);
+            if (value !== '') values.set(columnPair.header, value);
+        });
+        return values;
+    }
+
+    getRowText(values) {
+        return [...values.values()].map(value => ValueTypes.toText(value)).join(', ');
+    }
+
+    // Summary, then the conflicts alone, then every change with Base, A and B side by side
+    generateReport(onProgress = () => {}) {
+        const workbook = XLSX.utils.book_new();
+        const changes = ReportExporter.listThreeWayChanges(this.comparisonResult);
+        onProgress(0, 'Writing three-way report...');
+
+        this.createSummarySheet(workbook);
+        this.createChangesSheet(workbook, 'Conflicts', changes.filter(change => change.status === 'conflict'));
+        this.createChangesSheet(workbook, 'All Changes', changes);
+        onProgress(1, 'Writing three-way report...');
+        return workbook;
+    }
+
+    createSummarySheet(workbook) {
+        const result = this.comparisonResult;
+        const engine = this.engines.a;
+        const statusRows = Object.keys(THREE_WAY_STATUSES).map(status => [
+            THREE_WAY_STATUSES[status],
+            result.cells.filter(cell => cell.status === status).length,
+            result.rowChanges.filter(change => change.status === status).length
+        ]);
+        const summaryData = [
+            ['THREE-WAY COMPARISON SUMMARY'],
+            ['Base File', result.baseFile],
+            ['Version A', result.originalFile],
+            ['Version B', result.modifiedFile],
+            ['Compared On', result.comparisonDate],
+            [''],
+            ['Status', 'Cells', 'Rows'],
+            ...statusRows,
+            ['Total', result.cells.length, result.rowChanges.length]
+        ];
+        const headerRow = 6;
+
+        const notes = [
+            ...result.sheetChanges.map(change => `${change.side.toUpperCase()}: ${ComparisonEngine.describeSheetChange(change)}`),
+            ...result.schemaChanges.map(change => `${change.side.toUpperCase()}: ${change.sheet}: ${ComparisonEngine.describeSchemaChange(change)}`),
+            ...result.warnings
+        ];
+        if (notes.length > 0) {
+            summaryData.push([''], ['NOTES'], ...notes.map(note => [note]));
+        }
+
+        const worksheet = XLSX.utils.aoa_to_sheet(summaryData);
+        Object.keys(THREE_WAY_STATUSES).forEach((status, index) => {
+            const cell = worksheet[XLSX.utils.encode_cell({ r: headerRow + 1 + index, c: 0 })];
+            cell.s = engine.getHighlightStyle(THREE_WAY_HIGHLIGHTS[status], false);
+        });
+        engine.formatTable(worksheet, summaryData.slice(0, headerRow + statusRows.length + 2), headerRow);
+        delete worksheet['!autofilter'];
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Summary');
+    }
+
+    createChangesSheet(workbook, title, changes) {
+        const engine = this.engines.a;
+        const header = ['Sheet', 'Location', 'Key', 'Column', 'Base', 'Version A', 'Version B', 'Status', 'Reason'];
+        const rows = [header, ...changes.map(change => [
+            change.sheet, change.location, change.key || '', change.column || '',
+            change.baseValue, change.aValue, change.bValue, THREE_WAY_STATUSES[change.status], change.reason
+        ])];
+        if (changes.length === 0) {
+            rows.push([title === 'Conflicts' ? 'No conflicts' : 'No differences found']);
+        }
+
+        const worksheet = XLSX.utils.aoa_to_sheet(rows);
+        engine.applyHighlights(worksheet, [
+            header.map(() => 'header'),
+            ...changes.map(change => header.map(() => THREE_WAY_HIGHLIGHTS[change.status]))
+        ]);
+        engine.formatTable(worksheet, rows, 0);
+        XLSX.utils.book_append_sheet(workbook, worksheet, title);
+    }
+
+    writeReport(workbook) {
+        return this.engines.a.writeReport(workbook);
+    }
+}
+
+/**
+ * Text exports of a comparison result: the whole difference model as JSON, a flat CSV of
+ * changes, a standalone HTML report and a Markdown summary. They only need the result, so a
+ * comparison reopened from history exports the same way as a fresh one.
+ */
+const ReportExporter = {
+    export: (format, result, metadata = {}) => {
+        switch (format) {
+            case 'json':
+                return ReportExporter.toJSON(result, metadata);
+            case 'csv':
+                return ReportExporter.toCSV(result);
+            case 'html':
+                return ReportExporter.toHTML(result);
+            case 'markdown':
+                return ReportExporter.toMarkdown(result);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    },
+
+    toJSON: (result, metadata) => JSON.stringify({
+        ...metadata,
+        exportedAt: new Date().toISOString(),
+        comparison: result
+    }, null, 2),
+
+    // Every kind of change as one row, in the order the report lists them
+    listChanges: (result) => {
+        const changeLabels = { value: 'value', formula: 'formula only', both: 'value and formula' };
+        return [
+            ...result.sheetChanges.map(change => ({
+                sheet: change.sheet,
+                type: `sheet ${change.type}`,
+                description: ComparisonEngine.describeSheetChange(change)
+            })),
+            ...result.schemaChanges.map(change => ({
+                sheet: change.sheet,
+                type: `column ${change.type}`,
+                location: change.modifiedColumn || change.originalColumn,
+                column: change.header,
+                originalValue: change.originalHeader,
+                modifiedValue: change.type === 'removed' ? '' : change.header,
+                description: ComparisonEngine.describeSchemaChange(change)
+            })),
+            ...result.rowChanges.map(change => ({
+                sheet: change.sheet,
+                type: `row ${change.type}`,
+                location: `row ${change.row}`,
+                key: change.key,
+                description: ComparisonEngine.describeRowChange(change)
+            })),
+            ...result.differences.map(difference => ({
+                sheet: difference.sheet,
+                type: changeLabels[difference.changeType],
+                location: difference.cellRef,
+                key: difference.key,
+                column: difference.column,
+                originalValue: difference.originalValue,
+                modifiedValue: difference.modifiedValue,
+                delta: difference.delta,
+                description: difference.changeType === 'value' ? '' : ComparisonEngine.describeFormulaChange(difference)
+            })),
+            ...result.formatChanges.map(change => ({
+                sheet: change.sheet,
+                type: 'format',
+                location: change.location,
+                key: change.key,
+                originalValue: change.originalValue,
+                modifiedValue: change.modifiedValue,
+                description: ComparisonEngine.describeFormatChange(change)
+            }))
+        ];
+    },
+
+    // Cells and rows of a three-way result with the Base, A and B value of each (a row's values
+    // are listed comma-separated)
+    listThreeWayChanges: (result) => {
+        const sideValue = (value) => (value === null ? '(row deleted)' : value);
+        return [
+            ...result.cells.map(cell => ({
+                ...cell,
+                aValue: sideValue(cell.aValue),
+                bValue: sideValue(cell.bValue),
+                description: cell.reason
+            })),
+            ...result.rowChanges.map(change => ({
+                ...change,
+                column: '',
+                description: [ThreeWayComparison.describeRowChange(change), change.reason].filter(text => text).join('; ')
+            }))
+        ];
+    },
+
+    formatValue: (value) => (value === undefined || value === null ? '' : String(value)),
+
+    // One CSV field. These files are opened in Excel, so text starting with =, +, - or @ gets an
+    // apostrophe in front and is shown rather than run as a formula; numbers are left as they are.
+    quoteCSV: (value) => {
+        let text = ReportExporter.formatValue(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    toCSV: (result) => {
+        if (result.threeWay) return ReportExporter.toThreeWayCSV(result);
+
+        const header = ['Sheet', 'Change', 'Location', 'Key', 'Column', 'Original Value', 'Modified Value', 'Delta', 'Description'];
+        const lines = [header.join(',')];
+        ReportExporter.listChanges(result).forEach(change => {
+            lines.push([
+                change.sheet, change.type, change.location, change.key, change.column,
+                change.originalValue, change.modifiedValue, change.delta, change.description
+            ].map(ReportExporter.quoteCSV).join(','));
+        });
+        // The byte order mark makes Excel read the file as UTF-8
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    },
+
+    toThreeWayCSV: (result) => {
+        const header = ['Sheet', 'Status', 'Location', 'Key', 'Column', 'Base Value', 'A Value', 'B Value', 'Description'];
+        const lines = [header.join(',')];
+        ReportExporter.listThreeWayChanges(result).forEach(change => {
+            lines.push([
+                change.sheet, THREE_WAY_STATUSES[change.status], change.location, change.key, change.column,
+                change.baseValue, change.aValue, change.bValue, change.description
+            ].map(ReportExporter.quoteCSV).join(','));
+        });
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    },
+
+    getTotals: (result) => {
+        const totals = {};
+        ['cellsChanged', 'cellsAdded', 'cellsRemoved', 'rowsChanged', 'rowsAdded', 'rowsRemoved', 'columnsAdded', 'columnsRemoved']
+            .forEach(key => {
+                totals[key] = result.sheetSummaries.reduce((sum, summary) => sum + summary[key], 0);
+            });
+        return totals;
+    },
+
+    escapeHTML: (value) => ReportExporter.formatValue(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;'),
+
+    // One standalone page (no scripts or external files) that can be emailed or printed to PDF.
+    // title is escaped; rowStyles colour the table rows and body is the page's HTML.
+    toHTMLPage: (title, rowStyles, body) => {
+        const { header } = REPORT_HIGHLIGHTS;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${ReportExporter.escapeHTML(title)}</title>
+    <style>
+        body { font-family: Segoe UI, Arial, sans-serif; font-size: 14px; color: #222; margin: 24px; }
+        table { border-collapse: collapse; margin-bottom: 24px; }
+        th, td { border: 1px solid #bbb; padding: 4px 8px; text-align: left; vertical-align: top; white-space: pre-wrap; }
+        th { background: #${header.fill}; color: #${header.font}; }
+${rowStyles}
+        @media print { thead { display: table-header-group; } tr { page-break-inside: avoid; } }
+    </style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    },
+
+    // Totals, a summary per sheet pair and the changes of each sheet
+    toHTML: (result) => {
+        if (result.threeWay) return ReportExporter.toThreeWayHTML(result);
+
+        const escape = ReportExporter.escapeHTML;
+        const totals = ReportExporter.getTotals(result);
+        const changes = ReportExporter.listChanges(result);
+        const sheets = [...new Set(changes.map(change => change.sheet))];
+        const rowClass = (change) => {
+            if (change.type.endsWith('added')) return 'added';
+            if (change.type.endsWith('removed')) return 'removed';
+            return 'changed';
+        };
+        const summaryRows = result.sheetSummaries.map(summary => `
+            <tr><td>${escape(summary.sheet)}</td><td>${escape(summary.modifiedSheet)}</td><td>${escape(summary.range || 'Whole sheet')}</td>
+                <td>${summary.cellsChanged}</td><td>${summary.rowsAdded}</td><td>${summary.rowsRemoved}</td>
+                <td>${summary.columnsAdded}</td><td>${summary.columnsRemoved}</td></tr>`).join('');
+        const sheetSections = sheets.map(sheet => `
+    <h2>${escape(sheet)}</h2>
+    <table>
+        <thead><tr><th>Change</th><th>Location</th><th>Key</th><th>Column</th><th>Original Value</th><th>Modified Value</th><th>Delta</th><th>Description</th></tr></thead>
+        <tbody>${changes.filter(change => change.sheet === sheet).map(change => `
+            <tr class="${rowClass(change)}"><td>${escape(change.type)}</td><td>${escape(change.location)}</td>
+                <td>${escape(change.key)}</td><td>${escape(change.column)}</td>
+                <td class="original-value">${escape(change.originalValue)}</td><td class="modified-value">${escape(change.modifiedValue)}</td>
+                <td>${escape(change.delta)}</td><td>${escape(change.description)}</td></tr>`).join('')}
+        </tbody>
+    </table>`).join('');
+        const { changed, added, removed } = REPORT_HIGHLIGHTS;
+        const rowStyles = `        tr.changed td.original-value { background: #${changed.fill}; color: #${changed.font}; text-decoration: line-through; }
+        tr.changed td.modified-value { background: #${added.fill}; color: #${added.font}; }
+        tr.added td { background: #${added.fill}; color: #${added.font}; }
+        tr.removed td { background: #${removed.fill}; color: #${removed.font}; }`;
+
+        return ReportExporter.toHTMLPage(`Comparison: ${result.originalFile} vs ${result.modifiedFile}`, rowStyles, `    <h1>Comparison Report</h1>
+    <table>
+        <tr><th>Original File</th><td>${escape(result.originalFile)}</td></tr>
+        <tr><th>Modified File</th><td>${escape(result.modifiedFile)}</td></tr>
+        <tr><th>Compared On</th><td>${escape(result.comparisonDate)}</td></tr>
+        <tr><th>Cells Changed</th><td>${totals.cellsChanged}</td></tr>
+        <tr><th>Rows Added / Removed</th><td>${totals.rowsAdded} / ${totals.rowsRemoved}</td></tr>
+    </table>
+    <h2>Summary</h2>
+    <table>
+        <thead><tr><th>Sheet</th><th>Compared With</th><th>Range</th><th>Cells Changed</th><th>Rows Added</th><th>Rows Removed</th><th>Columns Added</th><th>Columns Removed</th></tr></thead>
+        <tbody>${summaryRows}
+        </tbody>
+    </table>${sheetSections || '\n    <p>No differences found.</p>'}
+    ${ReportExporter.toHTMLWarnings(result.warnings)}`);
+    },
+
+    toHTMLWarnings: (warnings) => (warnings.length > 0
+        ? `<h2>Warnings</h2><ul>${warnings.map(warning => `<li>${ReportExporter.escapeHTML(warning)}</li>`).join('')}</ul>`
+        : ''),
+
+    // Conflicts come first; rows are coloured like the three-way workbook
+    toThreeWayHTML: (result) => {
+        const escape = ReportExporter.escapeHTML;
+        const changes = ReportExporter.listThreeWayChanges(result);
+        const statuses = Object.keys(THREE_WAY_STATUSES);
+        const ordered = statuses.flatMap(status => changes.filter(change => change.status === status));
+        const statusStyles = statuses.map(status => {
+            const colors = REPORT_HIGHLIGHTS[THREE_WAY_HIGHLIGHTS[status]];
+            return `        tr.${status} td { background: #${colors.fill}; color: #${colors.font}; }`;
+        }).join('\n');
+
+        return ReportExporter.toHTMLPage(`Three-way comparison: ${result.originalFile} and ${result.modifiedFile}`, statusStyles, `    <h1>Three-Way Comparison Report</h1>
+    <table>
+        <tr><th>Base File</th><td>${escape(result.baseFile)}</td></tr>
+        <tr><th>Version A</th><td>${escape(result.originalFile)}</td></tr>
+        <tr><th>Version B</th><td>${escape(result.modifiedFile)}</td></tr>
+        <tr><th>Compared On</th><td>${escape(result.comparisonDate)}</td></tr>
+${statuses.map(status => `        <tr class="${status}"><th>${THREE_WAY_STATUSES[status]}</th><td>${result.counts[status]}</td></tr>`).join('\n')}
+    </table>${ordered.length === 0 ? '\n    <p>No differences found.</p>' : `
+    <table>
+        <thead><tr><th>Sheet</th><th>Status</th><th>Location</th><th>Key</th><th>Column</th><th>Base</th><th>Version A</th><th>Version B</th><th>Description</th></tr></thead>
+        <tbody>${ordered.map(change => `
+            <tr class="${change.status}"><td>${escape(change.sheet)}</td><td>${THREE_WAY_STATUSES[change.status]}</td>
+                <td>${escape(change.location)}</td><td>${escape(change.key)}</td><td>${escape(change.column)}</td>
+                <td>${escape(change.baseValue)}</td><td>${escape(change.aValue)}</td><td>${escape(change.bValue)}</td>
+                <td>${escape(change.description)}</td></tr>`).join('')}
+        </tbody>
+    </table>`}
+    ${ReportExporter.toHTMLWarnings(result.warnings)}`);
+    },
+
+    toMarkdownCell: (value) => ReportExporter.formatValue(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>'),
+
+    toMarkdownRow: (values) => `| ${values.map(ReportExporter.toMarkdownCell).join(' | ')} |`,
+
+    // Short enough to paste into a pull request or ticket: totals plus the first changes
+    toMarkdown: (result) => {
+        if (result.threeWay) return ReportExporter.toThreeWayMarkdown(result);
+
+        const cell = ReportExporter.toMarkdownCell;
+        const row = ReportExporter.toMarkdownRow;
+        const totals = ReportExporter.getTotals(result);
+        const changes = ReportExporter.listChanges(result);
+        const shown = changes.slice(0, ENGINE_CONFIG.MARKDOWN_MAX_CHANGES);
+
+        const lines = [
+            `# Comparison: ${cell(result.originalFile)} vs ${cell(result.modifiedFile)}`,
+            '',
+            `Compared on ${result.comparisonDate}: **${totals.cellsChanged}** cells changed, ` +
+                `**${totals.rowsAdded}** rows added, **${totals.rowsRemoved}** rows removed, ` +
+                `**${result.schemaChanges.length}** column changes.`,
+            '',
+            row(['Sheet', 'Compared With', 'Range', 'Cells Changed', 'Rows Added', 'Rows Removed', 'Columns Added', 'Columns Removed']),
+            row(Array(8).fill('---')),
+            ...result.sheetSummaries.map(summary => row([
+                summary.sheet, summary.modifiedSheet, summary.range || 'Whole sheet', summary.cellsChanged, summary.rowsAdded,
+                summary.rowsRemoved, summary.columnsAdded, summary.columnsRemoved
+            ]))
+        ];
+
+        if (changes.length > 0) {
+            lines.push('', '## Changes', '',
+                row(['Sheet', 'Change', 'Location', 'Key', 'Column', 'Original', 'Modified']),
+                row(Array(7).fill('---')),
+                ...shown.map(change => row([
+                    change.sheet, change.type, change.location, change.key, change.column,
+                    change.originalValue, change.modifiedValue
+                ])));
+            if (changes.length > shown.length) {
+                lines.push('', `_…and ${changes.length - shown.length} more changes not shown._`);
+            }
+        }
+
+        if (result.warnings.length > 0) {
+            lines.push('', '## Warnings', '', ...result.warnings.map(warning => `- ${warning}`));
+        }
+
+        return `${lines.join('\n')}\n`;
+    },
+
+    toThreeWayMarkdown: (result) => {
+        const cell = ReportExporter.toMarkdownCell;
+        const row = ReportExporter.toMarkdownRow;
+        const changes = ReportExporter.listThreeWayChanges(result);
+        const ordered = Object.keys(THREE_WAY_STATUSES).flatMap(status => changes.filter(change => change.status === status));
+        const shown = ordered.slice(0, ENGINE_CONFIG.MARKDOWN_MAX_CHANGES);
+
+        const lines = [
+            `# Three-way comparison: ${cell(result.originalFile)} and ${cell(result.modifiedFile)}`,
+            '',
+            `Base ${cell(result.baseFile)}, compared on ${result.comparisonDate}: **${result.counts.conflict}** conflicts, ` +
+                `**${result.counts.a}** changes only in A, **${result.counts.b}** only in B, **${result.counts.both}** identical in both.`
+        ];
+
+        if (ordered.length > 0) {
+            lines.push('', '## Changes', '',
+                row(['Sheet', 'Status', 'Location', 'Key', 'Column', 'Base', 'A', 'B']),
+                row(Array(8).fill('---')),
+                ...shown.map(change => row([
+                    change.sheet, THREE_WAY_STATUSES[change.status], change.location, change.key, change.column,
+                    change.baseValue, change.aValue, change.bValue
+                ])));
+            if (ordered.length > shown.length) {
+                lines.push('', `_…and ${ordered.length - shown.length} more changes not shown._`);
+            }
+        }
+
+        if (result.warnings.length > 0) {
+            lines.push('', '## Warnings', '', ...result.warnings.map(warning => `- ${warning}`));
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+};
+
+/**
+ * Pairing, outcome and packaging for batch comparisons of many file pairs. Without a pattern,
+ * files pair by name ignoring case and digits, so report_2026-09.xlsx pairs with
+ * report_2026-10.xlsx. A pattern marks the part of the name that differs with * and, when a set
+ * holds several reports, the part that names the pair with {name}: "{name}_*.xlsx" pairs
+ * sales_2026-09.xlsx with sales_2026-10.xlsx and costs_2026-09.xlsx with costs_2026-10.xlsx.
+ */
+const BatchComparison = {
+    NAME_TOKEN: '{name}',
+
+    compilePattern: (pattern) => {
+        const text = String(pattern || '').trim();
+        if (!text) return null;
+        const parts = text.split(BatchComparison.NAME_TOKEN);
+        if (text.split('*').length !== 2) {
+            throw new Error(`"${text}" needs one * for the part of the file name that differs, such as report_*.xlsx`);
+        }
+        if (parts.length > 2) {
+            throw new Error(`"${text}" can use ${BatchComparison.NAME_TOKEN} only once`);
+        }
+
+        const escape = (literal) => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        const source = parts.map(part => part.split('*').map(escape).join('(?<version>.+?)')).join('(?<name>.+?)');
+        return new RegExp(`^${source}$`, 'i');
+    },
+
+    // The pairing key and the differing part of a file name, or null when it does not fit the pattern
+    describeName: (fileName, patternRegex) => {
+        if (!patternRegex) {
+            return {
+                key: fileName.toLowerCase().replace(/\d+/g, '#'),
+                version: (fileName.match(/\d+/g) || []).join('-')
+            };
+        }
+        const match = fileName.match(patternRegex);
+        if (!match) return null;
+        return {
+            key: (match.groups.name || '').toLowerCase(),
+            version: match.groups.version
+        };
+    },
+
+    /**
+     * Pairs an original and a modified set of file names. Returns { pairs, unpaired } with pairs as
+     * { original, modified } indexes into the two lists and unpaired as { side, index, reason }.
+     */
+    pairSets: (originalNames, modifiedNames, pattern = '') => {
+        const patternRegex = BatchComparison.compilePattern(pattern);
+        const pairs = [];
+        const pairedOriginal = new Set();
+        const pairedModified = new Set();
+
+        // Identical names first, unless a pattern decides
+        if (!patternRegex) {
+            originalNames.forEach((name, original) => {
+                const modified = modifiedNames.findIndex((candidate, index) =>
+                    !pairedModified.has(index) && candidate.toLowerCase() === name.toLowerCase());
+                if (modified === -1) return;
+                pairs.push({ original, modified });
+                pairedOriginal.add(original);
+                pairedModified.add(modified);
+            });
+        }
+
+        const unpaired = [];
+        const groupByKey = (names, paired, side) => {
+            const groups = new Map();
+            names.forEach((name, index) => {
+                if (paired.has(index)) return;
+                const described = BatchComparison.describeName(name, patternRegex);
+                if (!described) {
+                    unpaired.push({ side, index, reason: 'Does not match the pattern' });
+                    return;
+                }
+                if (!groups.has(described.key)) groups.set(described.key, []);
+                groups.get(described.key).push(index);
+            });
+            return groups;
+        };
+        const originalGroups = groupByKey(originalNames, pairedOriginal, 'original');
+        const modifiedGroups = groupByKey(modifiedNames, pairedModified, 'modified');
+
+        originalGroups.forEach((originals, key) => {
+            const modifieds = modifiedGroups.get(key) || [];
+            modifiedGroups.delete(key);
+            if (originals.length === 1 && modifieds.length === 1) {
+                pairs.push({ original: originals[0], modified: modifieds[0] });
+                return;
+            }
+            const reason = modifieds.length === 0
+                ? 'No matching modified file'
+                : `${originals.length} original and ${modifieds.length} modified files match the same name`;
+            originals.forEach(index => unpaired.push({ side: 'original', index, reason }));
+            modifieds.forEach(index => unpaired.push({ side: 'modified', index, reason }));
+        });
+        modifiedGroups.forEach(modifieds => {
+            modifieds.forEach(index => unpaired.push({ side: 'modified', index, reason: 'No matching original file' }));
+        });
+
+        pairs.sort((a, b) => a.original - b.original);
+        return { pairs, unpaired };
+    },
+
+    // One list of files: the two files sharing a name pair up, the earlier version as the original
+    pairList: (names, pattern = '') => {
+        const patternRegex = BatchComparison.compilePattern(pattern);
+        const groups = new Map();
+        const unpaired = [];
+        names.forEach((name, index) => {
+            const described = BatchComparison.describeName(name, patternRegex);
+            if (!described) {
+                unpaired.push({ side: 'original', index, reason: 'Does not match the pattern' });
+                return;
+            }
+            if (!groups.has(described.key)) groups.set(described.key, []);
+            groups.get(described.key).push({ index, version: described.version });
+        });
+
+        const pairs = [];
+        groups.forEach(members => {
+            if (members.length !== 2 || members[0].version === members[1].version) {
+                const reason = members.length === 1 ? 'No other file with the same name' : `${members.length} files match the same name`;
+                members.forEach(member => unpaired.push({ side: 'original', index: member.index, reason }));
+                return;
+            }
+            members.sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+            pairs.push({ original: members[0].index, modified: members[1].index });
+        });
+
+        pairs.sort((a, b) => a.original - b.original);
+        return { pairs, unpaired };
+    },
+
+    // pass: nothing differs; fail: cells, rows, columns or sheets differ, or formatting when it was
+    // compared (formula changes are cell differences when formulas are compared)
+    getOutcome: (result) => {
+        const changes = result.totalDifferences + result.rowsAdded + result.rowsRemoved +
+            result.schemaChanges.length + result.sheetChanges.length +
+            (result.compareFormatting ? result.formatChanges.length : 0);
+        return changes === 0 ? 'pass' : 'fail';
+    },
+
+    // runs: [{ original, modified, result, error, report }] with report the file name in the zip
+    toSummaryCSV: (runs) => {
+        const header = ['Original File', 'Modified File', 'Result', 'Differences', 'Rows Added', 'Rows Removed', 'Schema Changes',
+            'Format Changes', 'Sheets Compared', 'Report', 'Error'];
+        const lines = runs.map(run => (run.result
+            ? [run.original, run.modified, BatchComparison.getOutcome(run.result), run.result.totalDifferences, run.result.rowsAdded,
+                run.result.rowsRemoved, run.result.schemaChanges.length + run.result.sheetChanges.length, run.result.formatChanges.length,
+                run.result.sheetsCompared, run.report, '']
+            : [run.original, run.modified, 'error', '', '', '', '', '', '', '', run.error]));
+        return `${[header, ...lines].map(line => line.map(ReportExporter.quoteCSV).join(',')).join('\r\n')}\r\n`;
+    },
+
+    // entries: [{ path, content }] with content an ArrayBuffer or a string; returns the zip as an ArrayBuffer
+    createZip: (entries) => {
+        const zip = XLSX.CFB.utils.cfb_new();
+        const encoder = new TextEncoder();
+        entries.forEach(({ path, content }) => {
+            XLSX.CFB.utils.cfb_add(zip, `/${path}`, typeof content === 'string' ? encoder.encode(content) : new Uint8Array(content));
+        });
+        const zipped = XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' });
+        return zipped.buffer.slice(zipped.byteOffset, zipped.byteOffset + zipped.byteLength);
+    }
+};
+
+/**
+ * Reapplicable changesets: the cell, row and sheet operations that turn one workbook into another,
+ * saved as JSON together with the SHA-256 hashes of both files. A patch only applies to the file
+ * it was made from. The format is described under "Patch Format" in the README; operations run in
+ * order, with rows and cells addressed as the sheet stands when each one runs. Only cell contents
+ * (value, formula and number format) are patched, so fills, widths, comments and links stay as in
+ * the base file.
+ */
+const WorkbookPatch = {
+    FORMAT: 'efct-patch',
+    VERSION: 1,
+
+    // files gives the { name, sha256 } of the compared original and modified files
+    create: (engine, files) => {
+        ['original', 'modified'].forEach(slot => {
+            if (!files || !files[slot] || !files[slot].sha256) {
+                throw new Error(`A patch needs the SHA-256 hash of the ${slot} file, which needs a page served over HTTPS`);
+            }
+        });
+
+        const original = engine.originalData;
+        const modified = engine.modifiedData;
+        // The operations are run on a copy of the original as they are made, so each one is
+        // addressed exactly as it will be when the patch is applied
+        const working = WorkbookPatch.copyWorkbook(original, sheet => ({ ...sheet }));
+        const operations = [];
+        const emit = (operation) => {
+            WorkbookPatch.applyOperation(working, operation);
+            operations.push(operation);
+        };
+
+        const { sheetPairs, originalOnly } = ComparisonEngine.pairSheets(original.SheetNames, modified.SheetNames);
+        const pairedWith = new Map(sheetPairs.map(pair => [pair.modified, pair.original]));
+        originalOnly.forEach(sheet => emit({ op: 'removeSheet', sheet }));
+
+        modified.SheetNames.forEach((sheet, index) => {
+            const originalSheet = pairedWith.get(sheet);
+            if (originalSheet === undefined) {
+                emit({ op: 'addSheet', sheet, index });
+            } else {
+                if (originalSheet !== sheet) {
+                    emit({ op: 'renameSheet', sheet: originalSheet, name: sheet });
+                }
+                WorkbookPatch.getRowOperations(engine, originalSheet, sheet).forEach(emit);
+            }
+            WorkbookPatch.getCellOperations(sheet, working.Sheets[sheet], modified.Sheets[sheet]).forEach(emit);
+        });
+
+        return {
+            format: WorkbookPatch.FORMAT,
+            version: WorkbookPatch.VERSION,
+            createdAt: new Date().toISOString(),
+            base: { name: files.original.name, sha256: files.original.sha256 },
+            target: { name: files.modified.name, sha256: files.modified.sha256 },
+            operations
+        };
+    },
+
+    // Inserted and deleted rows as the comparison matched them; a sheet compared by range, or
+    // paired differently in the comparison, is patched cell by cell
+    getRowOperations: (engine, originalSheet, modifiedSheet) => {
+        const sheetDiff = engine.sheetDiffs.find(diff => diff.sheet === originalSheet && diff.modifiedSheet === modifiedSheet && !diff.range);
+        if (!sheetDiff) return [];
+
+        // Deleting from the bottom and inserting from the top keeps the row numbers of both files valid
+        const deleted = sheetDiff.rowPairs
+            .filter(pair => pair.modifiedRow === null)
+            .map(pair => sheetDiff.original.getSheetRowNumber(pair.originalRow))
+            .sort((a, b) => b - a);
+        const inserted = sheetDiff.rowPairs
+            .filter(pair => pair.originalRow === null)
+            .map(pair => sheetDiff.modified.getSheetRowNumber(pair.modifiedRow))
+            .sort((a, b) => a - b);
+        return [
+            ...deleted.map(row => ({ op: 'deleteRow', sheet: modifiedSheet, row })),
+            ...inserted.map(row => ({ op: 'insertRow', sheet: modifiedSheet, row }))
+        ];
+    },
+
+    getCellOperations: (sheet, worksheet, target) => {
+        const addresses = new Set([...Object.keys(worksheet), ...Object.keys(target)].filter(address => address[0] !== '!'));
+        const operations = [];
+        Array.from(addresses)
+            .map(address => ({ address, position: XLSX.utils.decode_cell(address) }))
+            .sort((a, b) => a.position.r - b.position.r || a.position.c - b.position.c)
+            .forEach(({ address }) => {
+                const current = WorkbookPatch.getContent(worksheet[address]);
+                const wanted = WorkbookPatch.getContent(target[address]);
+                if (!wanted) {
+                    if (current) operations.push({ op: 'clear', sheet, cell: address });
+                } else if (!WorkbookPatch.isSameContent(current, wanted)) {
+                    operations.push({ op: 'set', sheet, cell: address, ...wanted });
+                }
+            });
+        return operations;
+    },
+
+    // What a set operation holds for a cell, or null for an empty cell
+    getContent: (cell) => {
+        if (!cell) return null;
+        const hasValue = cell.t !== 'z' && cell.v !== undefined && cell.v !== null && cell.v !== '';
+        const hasFormula = typeof cell.f === 'string' && cell.f !== '';
+        if (!hasValue && !hasFormula) return null;
+
+        const content = { type: cell.t, value: hasValue ? cell.v : null };
+        if (hasFormula) content.formula = cell.f;
+        if (cell.z && cell.z !== 'General') content.format = cell.z;
+        return content;
+    },
+
+    isSameContent: (a, b) => !!a && !!b &&
+        a.type === b.type && a.value === b.value && a.formula === b.formula && a.format === b.format,
+
+    // Accepts the patch as JSON text or as a parsed object
+    parse: (text) => {
+        let patch;
+        try {
+            patch = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new Error(`The patch is not valid JSON: ${error.message}`);
+        }
+        if (!patch || patch.format !== WorkbookPatch.FORMAT) {
+            throw new Error('The file is not a workbook patch');
+        }
+        if (!(patch.version <= WorkbookPatch.VERSION)) {
+            throw new Error(`The patch has format version ${patch.version}, newer than this tool reads (${WorkbookPatch.VERSION})`);
+        }
+        if (!patch.base || typeof patch.base.sha256 !== 'string' || !Array.isArray(patch.operations)) {
+            throw new Error('The patch has no base file hash or no operations');
+        }
+        return patch;
+    },
+
+    /**
+     * The workbook with the patch applied, as an xlsx ArrayBuffer. baseHash is the SHA-256 of the
+     * workbook's file; a patch made from any other file is refused.
+     */
+    apply: (workbook, patch, baseHash) => {
+        if (!baseHash) {
+            throw new Error('The workbook could not be hashed, so the patch cannot be checked against it');
+        }
+        if (baseHash.toLowerCase() !== patch.base.sha256.toLowerCase()) {
+            throw new Error(`This patch was made for ${patch.base.name || 'another file'} and does not apply to this workbook ` +
+                `(SHA-256 ${baseHash.substring(0, 12)}... instead of ${patch.base.sha256.substring(0, 12)}...)`);
+        }
+
+        const patched = WorkbookPatch.copyWorkbook(workbook, ComparisonEngine.getWritableSheet);
+        const touchedSheets = new Set();
+        patch.operations.forEach((operation, index) => {
+            try {
+                WorkbookPatch.applyOperation(patched, operation);
+            } catch (error) {
+                throw new Error(`Patch operation ${index + 1} (${operation && operation.op}): ${error.message}`);
+            }
+            touchedSheets.add(operation.op === 'renameSheet' ? operation.name : operation.sheet);
+        });
+        touchedSheets.forEach(sheet => {
+            if (patched.Sheets[sheet]) WorkbookPatch.updateRange(patched.Sheets[sheet]);
+        });
+
+        return XLSX.write(patched, { bookType: 'xlsx', type: 'array' });
+    },
+
+    copyWorkbook: (workbook, copySheet) => {
+        const copy = { ...workbook, SheetNames: [...workbook.SheetNames], Sheets: {} };
+        workbook.SheetNames.forEach(name => {
+            copy.Sheets[name] = copySheet(workbook.Sheets[name]);
+        });
+        return copy;
+    },
+
+    // Cells are replaced, never changed in place, so a copy made with copyWorkbook leaves the source as read
+    applyOperation: (workbook, operation) => {
+        const { op, sheet } = operation || {};
+        const worksheet = workbook.Sheets[sheet];
+        const requireSheet = () => {
+            if (!worksheet) throw new Error(`Sheet "${sheet}" does not exist`);
+        };
+
+        switch (op) {
+            case 'removeSheet':
+                requireSheet();
+                workbook.SheetNames = workbook.SheetNames.filter(name => name !== sheet);
+                delete workbook.Sheets[sheet];
+                break;
+            case 'renameSheet':
+                requireSheet();
+                if (workbook.Sheets[operation.name]) throw new Error(`Sheet "${operation.name}" already exists`);
+                workbook.SheetNames = workbook.SheetNames.map(name => (name === sheet ? operation.name : name));
+                workbook.Sheets[operation.name] = worksheet;
+                delete workbook.Sheets[sheet];
+                break;
+            case 'addSheet':
+                if (worksheet) throw new Error(`Sheet "${sheet}" already exists`);
+                workbook.SheetNames.splice(Math.min(operation.index, workbook.SheetNames.length), 0, sheet);
+                workbook.Sheets[sheet] = {};
+                break;
+            case 'deleteRow':
+            case 'insertRow':
+                requireSheet();
+                if (!(operation.row >= 1)) throw new Error(`Invalid row ${operation.row}`);
+                WorkbookPatch.shiftRows(worksheet, operation.row - 1, op === 'insertRow' ? 1 : -1);
+                break;
+            case 'set':
+            case 'clear': {
+                requireSheet();
+                if (!/^[A-Z]+[1-9][0-9]*$/.test(String(operation.cell))) throw new Error(`Invalid cell "${operation.cell}"`);
+                const target = worksheet[operation.cell];
+                const kept = {};
+                if (target) {
+                    ['s', 'c', 'l'].forEach(property => {
+                        if (target[property]) kept[property] = target[property];
+                    });
+                }
+                if (op === 'clear') {
+                    if (Object.keys(kept).length > 0) {
+                        worksheet[operation.cell] = { t: 'z', ...kept };
+                    } else {
+                        delete worksheet[operation.cell];
+                    }
+                    break;
+                }
+                const cell = { t: operation.type, ...kept };
+                if (operation.value !== null && operation.value !== undefined) cell.v = operation.value;
+                if (operation.formula) cell.f = operation.formula;
+                if (operation.format) cell.z = operation.format;
+                worksheet[operation.cell] = cell;
+                break;
+            }
+            default:
+                throw new Error(`Unknown operation "${op}"`);
+        }
+    },
+
+    // row is 0-based; count is 1 to insert an empty row there or -1 to delete it
+    shiftRows: (worksheet, row, count) => {
+        const moved = {};
+        Object.keys(worksheet).forEach(address => {
+            if (address[0] === '!') return;
+            const position = XLSX.utils.decode_cell(address);
+            if (position.r < row) return;
+            const cell = worksheet[address];
+            delete worksheet[address];
+            if (count < 0 && position.r === row) return;
+            moved[XLSX.utils.encode_cell({ r: position.r + count, c: position.c })] = cell;
+        });
+        Object.assign(worksheet, moved);
+
+        if (worksheet['!rows']) {
+            const rows = [...worksheet['!rows']];
+            if (count > 0) {
+                rows.splice(row, 0, undefined);
+            } else {
+                rows.splice(row, 1);
+            }
+            worksheet['!rows'] = rows;
+        }
+        // Merged areas below the row move with it; an area across it grows or shrinks
+        if (worksheet['!merges']) {
+            worksheet['!merges'] = worksheet['!merges']
+                .map(({ s, e }) => {
+                    if (s.r > row || (count > 0 && s.r === row)) {
+                        return { s: { r: s.r + count, c: s.c }, e: { r: e.r + count, c: e.c } };
+                    }
+                    return e.r >= row ? { s, e: { r: e.r + count, c: e.c } } : { s, e };
+                })
+                .filter(({ s, e }) => e.r >= s.r && (e.r > s.r || e.c > s.c));
+        }
+    },
+
+    updateRange: (worksheet) => {
+        let range = null;
+        Object.keys(worksheet).forEach(address => {
+            if (address[0] === '!') return;
+            const { r, c } = XLSX.utils.decode_cell(address);
+            range = range
+                ? { s: { r: Math.min(range.s.r, r), c: Math.min(range.s.c, c) }, e: { r: Math.max(range.e.r, r), c: Math.max(range.e.c, c) } }
+                : { s: { r, c }, e: { r, c } };
+        });
+        if (range) {
+            worksheet['!ref'] = XLSX.utils.encode_range(range);
+        } else {
+            delete worksheet['!ref'];
+        }
+    }
+};
+
+/**
+ * Holds the loaded workbooks and the last comparison between messages.
+ * Messages: { id, type: 'load', slot, name, buffer } with slot original, modified or base,
+ * { id, type: 'compare', options, reportFormat } (options.threeWay compares both files against the base),
+ * { id, type: 'view', sheetIndex } for the viewer's grid of the last comparison,
+ * { id, type: 'merge', acceptedIndices, recordChanges } for the original workbook with accepted differences applied,
+ * { id, type: 'patch', files } for the last comparison as a WorkbookPatch, with files the { name, sha256 } of each file,
+ * { id, type: 'applyPatch', name, buffer, sha256, patch } for a workbook with a patch applied, and
+ * { id, type: 'preview', slot, sheet, range } for the first cells of a loaded sheet.
+ * Replies: { id, type: 'progress', percentage, text }, { id, type: 'done', result } or { id, type: 'error', message }.
+ */
+class ComparisonSession {
+    constructor() {
+        this.workbooks = { original: null, modified: null, base: null };
+        this.fileNames = { original: null, modified: null, base: null };
+        this.engine = null;
+    }
+
+    /**
+     * One comparison without the message protocol, for Node scripts and the command line.
+     * files maps original, modified and, for a three-way comparison, base to { name, data } with
+     * data the file's bytes; options left out take DEFAULT_COMPARISON_OPTIONS. Returns
+     * { comparisonResult, report, session } with report the xlsx workbook and session holding the
+     * comparison for further requests such as merge or patch.
+     */
+    static compareFiles(files, options = {}, reportFormat = 'single', onProgress = () => {}) {
+        const session = new ComparisonSession();
+        ['original', 'modified', 'base'].forEach(slot => {
+            if (files[slot]) {
+                session.request({ type: 'load', slot, name: files[slot].name, buffer: files[slot].data });
+            }
+        });
+        const { comparisonResult, report } = session.request({
+            type: 'compare',
+            options: { ...DEFAULT_COMPARISON_OPTIONS, ...options, threeWay: !!files.base },
+            reportFormat
+        }, onProgress);
+        return { comparisonResult, report, session };
+    }
+
+    // Handles one message in the calling thread and returns its result, or throws its error
+    request(message, onProgress = () => {}) {
+        let outcome = null;
+        this.handleMessage({ id: 0, ...message }, (reply) => {
+            if (reply.type === 'progress') {
+                onProgress(reply.percentage, reply.text);
+            } else {
+                outcome = reply;
+            }
+        });
+        if (outcome.type === 'error') {
+            throw new Error(outcome.message);
+        }
+        return outcome.result;
+    }
+
+    handleMessage(message, reply) {
+        try {
+            switch (message.type) {
+                case 'load':
+                    this.load(message, reply);
+                    break;
+                case 'compare':
+                    this.compare(message, reply);
+                    break;
+                case 'view':
+                    this.view(message, reply);
+                    break;
+                case 'merge':
+                    this.merge(message, reply);
+                    break;
+                case 'patch':
+                    this.patch(message, reply);
+                    break;
+                case 'applyPatch':
+                    this.applyPatch(message, reply);
+                    break;
+                case 'preview':
+                    this.preview(message, reply);
+                    break;
+                default:
+                    throw new Error(`Unknown request: ${message.type}`);
+            }
+        } catch (error) {
+            reply({ id: message.id, type: 'error', message: error.message });
+        }
+    }
+
+    load({ id, slot, name, buffer }, reply) {
+        this.workbooks[slot] = null;
+        const workbook = WorkbookReader.read(new Uint8Array(buffer), name);
+        this.workbooks[slot] = workbook;
+        this.fileNames[slot] = name;
+        reply({ id, type: 'done', result: { sheetNames: workbook.SheetNames, sourceFormat: workbook.sourceFormat } });
+    }
+
+    compare({ id, options, reportFormat }, reply) {
+        if (!this.workbooks.original || !this.workbooks.modified) {
+            throw new Error('Both files must be loaded before comparing');
+        }
+
+        // Comparing takes the first 70% of the progress bar, writing the report the rest
+        let lastPercentage = -1;
+        const progress = (start, end) => (fraction, text) => {
+            const percentage = Math.round(start + (end - start) * fraction);
+            if (percentage === lastPercentage && fraction < 1) return;
+            lastPercentage = percentage;
+            reply({ id, type: 'progress', percentage, text });
+        };
+
+        if (options.threeWay) {
+            if (!this.workbooks.base) {
+                throw new Error('The base file must be loaded for a three-way comparison');
+            }
+            this.engine = null;
+            const threeWay = new ThreeWayComparison(this.workbooks.base, this.workbooks.original, this.workbooks.modified, options, {
+                base: this.fileNames.base, a: this.fileNames.original, b: this.fileNames.modified
+            });
+            const comparisonResult = threeWay.compare(progress(0, 80));
+            const report = threeWay.writeReport(threeWay.generateReport(progress(80, 100)));
+            reply({ id, type: 'done', result: { comparisonResult, report } }, [report]);
+            return;
+        }
+
+        this.engine = new ComparisonEngine(this.workbooks.original, this.workbooks.modified, options, this.fileNames);
+        const comparisonResult = this.engine.compare(progress(0, 70));
+        const reportWorkbook = this.engine.generateReport(reportFormat, progress(70, 95));
+
+        progress(95, 100)(0, 'Saving report...');
+        const report = this.engine.writeReport(reportWorkbook);
+
+        reply({ id, type: 'done', result: { comparisonResult, report } }, [report]);
+    }
+
+    merge({ id, acceptedIndices, recordChanges }, reply) {
+        if (!this.engine) {
+            throw new Error('Run a comparison before merging changes');
+        }
+        const workbook = this.engine.mergeWorkbook(acceptedIndices, { recordChanges });
+        reply({ id, type: 'done', result: { workbook } }, [workbook]);
+    }
+
+    patch({ id, files }, reply) {
+        if (!this.engine) {
+            throw new Error('Run a two-file comparison before creating a patch');
+        }
+        reply({ id, type: 'done', result: { patch: WorkbookPatch.create(this.engine, files) } });
+    }
+
+    // The workbook is read here rather than loaded into a slot, so the compared files stay loaded
+    applyPatch({ id, name, buffer, sha256, patch }, reply) {
+        const workbook = WorkbookPatch.apply(WorkbookReader.read(new Uint8Array(buffer), name), WorkbookPatch.parse(patch), sha256);
+        reply({ id, type: 'done', result: { workbook } }, [workbook]);
+    }
+
+    view({ id, sheetIndex }, reply) {
+        if (!this.engine) {
+            throw new Error('Run a comparison before opening the viewer');
+        }
+        reply({ id, type: 'done', result: this.engine.getSheetView(sheetIndex) });
+    }
+
+    // The top-left corner of a loaded sheet, or of a range in it, for the sheet pair picker
+    preview({ id, slot, sheet, range }, reply) {
+        const workbook = this.workbooks[slot];
+        const worksheet = workbook && workbook.Sheets[sheet];
+        if (!worksheet) {
+            throw new Error(`Sheet "${sheet}" is not loaded`);
+        }
+
+        const cellRange = ComparisonEngine.normalizeRange(range) || worksheet['!ref'];
+        if (!cellRange) {
+            reply({ id, type: 'done', result: { columns: [], rows: [], totalRows: 0, totalColumns: 0 } });
+            return;
+        }
+
+        const { s, e } = XLSX.utils.decode_range(cellRange);
+        const lastRow = Math.min(e.r, s.r + ENGINE_CONFIG.PREVIEW_ROWS - 1);
+        const lastCol = Math.min(e.c, s.c + ENGINE_CONFIG.PREVIEW_COLUMNS - 1);
+        const columns = [];
+        const rows = [];
+        for (let c = s.c; c <= lastCol; c++) {
+            columns.push(XLSX.utils.encode_col(c));
+        }
+        for (let r = s.r; r <= lastRow; r++) {
+            const values = [];
+            for (let c = s.c; c <= lastCol; c++) {
+                const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+                values.push(cell ? XLSX.utils.format_cell(cell) : '');
+            }
+            rows.push({ rowNumber: r + 1, values });
+        }
+
+        reply({ id, type: 'done', result: { columns, rows, totalRows: e.r - s.r + 1, totalColumns: e.c - s.c + 1 } });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ENGINE_CONFIG,
+        EXPORT_FORMATS,
+        DEFAULT_COMPARISON_OPTIONS,
+        THREE_WAY_STATUSES,
+        ValueTypes,
+        WorkbookReader,
+        SheetData,
+        ComparisonEngine,
+        ThreeWayComparison,
+        ReportExporter,
+        BatchComparison,
+        WorkbookPatch,
+        ComparisonSession
+    };
+}
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Comparison Worker for Excel File Comparison Tool
+ * Version: 4.0.0
+ * Parses, compares and builds reports off the main thread.
+ */
+
+const XLSX_CDN_URL = 'https://cdn.jsdelivr.net/npm/xlsx-js-style@1.2.0/dist/xlsx.bundle.js';
+const XLSX_FALLBACK_URL = 'libs/xlsx.bundle.js';
+
+try {
+    importScripts(XLSX_CDN_URL);
+} catch (error) {
+    console.error('[Worker] CDN failed to load XLSX library, using local fallback');
+    importScripts(XLSX_FALLBACK_URL);
+}
+
+importScripts('comparison-engine.js');
+
+const session = new ComparisonSession();
+
+self.addEventListener('message', (event) => {
+    session.handleMessage(event.data, (message, transfer = []) => {
+        self.postMessage(message, transfer);
+    });
+});
@@ -5,7 +5,8 @@
  * Version: 4.0.0
  */
 
-const CACHE_VERSION = 'v4.0.0';
+// Bump whenever a cached file changes; the cache is served first, so returning visitors otherwise keep the old files
+const CACHE_VERSION = 'v4.0.31';
 const CACHE_NAME = `excel-compare-${CACHE_VERSION}`;
 
 const ASSETS_TO_CACHE = [
@@ -13,6 +14,8 @@ const ASSETS_TO_CACHE = [
     './index.html',
     './styles.css',
     './app.js',
+    './comparison-engine.js',
+    './comparison-worker.js',
     './sw-register.js',
     './manifest.json',
     './icons/icon-16x16.png',
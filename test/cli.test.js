@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const CLI = path.join(__dirname, '..', 'bin', 'efct.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function efct(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: FIXTURES, encoding: 'utf8', timeout: 30000 });
+}
+
+function tempFile(name) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'efct-'));
+    return path.join(directory, name);
+}
+
+test('exits 0 when the files match', () => {
+    const { status, stderr } = efct('compare', 'orders-original.csv', 'orders-original.csv', '--key', 'ID');
+
+    assert.equal(status, 0);
+    assert.match(stderr, /0 cell difference\(s\)/);
+});
+
+test('exits 1 and prints a JSON report when the files differ', () => {
+    const { status, stdout } = efct('compare', 'orders-original.csv', 'orders-modified.csv', '--key', 'ID', '--format', 'json', '-q');
+    const report = JSON.parse(stdout);
+
+    assert.equal(status, 1);
+    assert.equal(report.comparison.differences.length, 2);
+    assert.equal(report.files.original.name, 'orders-original.csv');
+    assert.match(report.files.original.sha256, /^[0-9a-f]{64}$/);
+});
+
+test('writes the report format named by the output file', () => {
+    const output = tempFile('report.xlsx');
+    const { status } = efct('compare', 'budget-original.xlsx', 'budget-modified.xlsx', '-o', output, '-q');
+    const workbook = require('xlsx-js-style').readFile(output);
+
+    assert.equal(status, 1);
+    assert.ok(workbook.SheetNames.length > 0);
+});
+
+test('exits 1 when only the formatting differs', () => {
+    const XLSX = require('xlsx-js-style');
+    const writeWorkbook = (name, worksheet) => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Rates');
+        const file = tempFile(name);
+        XLSX.writeFile(workbook, file);
+        return file;
+    };
+    const original = writeWorkbook('original.xlsx', XLSX.utils.aoa_to_sheet([['ID', 'Rate'], [1, 0.5]]));
+    const modified = writeWorkbook('modified.xlsx', { ...XLSX.utils.aoa_to_sheet([['ID', 'Rate'], [1, 0.5]]), B2: { t: 'n', v: 0.5, z: '0%' } });
+
+    const { status, stderr } = efct('compare', original, modified, '-f', 'json', '-o', tempFile('report.json'));
+    assert.equal(status, 1);
+    assert.match(stderr, /0 cell difference\(s\), .*1 formatting change\(s\)/);
+
+    assert.equal(efct('compare', original, modified, '--no-formatting', '-q').status, 0);
+});
+
+test('compares both files against a base', () => {
+    const { status, stdout } = efct('compare', 'prices-a.csv', 'prices-b.csv', '--base', 'prices-base.csv', '-k', 'SKU', '-q');
+
+    assert.equal(status, 1);
+    assert.equal(JSON.parse(stdout).comparison.conflicts, 1);
+});
+
+test('writes a patch that apply turns back into the modified workbook', () => {
+    const patchFile = tempFile('orders.patch.json');
+    const output = tempFile('patched.xlsx');
+
+    assert.equal(efct('compare', 'orders-original.csv', 'orders-modified.csv', '-k', 'ID', '-f', 'patch', '-o', patchFile, '-q').status, 1);
+    assert.equal(JSON.parse(fs.readFileSync(patchFile, 'utf8')).format, 'efct-patch');
+
+    const applied = efct('apply', 'orders-original.csv', patchFile, '-o', output);
+    assert.equal(applied.status, 0);
+    assert.match(applied.stderr, /operation\(s\) applied to orders-original\.csv/);
+    assert.equal(efct('compare', output, 'orders-modified.csv', '-k', 'ID', '-q').status, 0);
+});
+
+test('apply refuses a workbook the patch was not made from', () => {
+    const patchFile = tempFile('orders.patch.json');
+    efct('compare', 'orders-original.csv', 'orders-modified.csv', '-k', 'ID', '-f', 'patch', '-o', patchFile, '-q');
+
+    const { status, stderr } = efct('apply', 'orders-modified.csv', patchFile, '-o', tempFile('patched.xlsx'));
+    assert.equal(status, 2);
+    assert.match(stderr, /This patch was made for orders-original\.csv and does not apply to this workbook/);
+});
+
+test('exits 2 when the comparison cannot run', () => {
+    const missing = efct('compare', 'orders-original.csv', 'missing.csv');
+    assert.equal(missing.status, 2);
+    assert.match(missing.stderr, /missing\.csv: file not found/);
+
+    const badFormat = efct('compare', 'orders-original.csv', 'orders-modified.csv', '--format', 'pdf');
+    assert.equal(badFormat.status, 2);
+    assert.match(badFormat.stderr, /Unknown format "pdf"/);
+
+    assert.equal(efct('compare', 'orders-original.csv', 'orders-modified.csv', '--format', 'xlsx').status, 2);
+    assert.equal(efct().status, 2);
+});
+
+test('prints help and version', () => {
+    assert.match(efct('--help').stdout, /^Usage: efct compare/);
+    assert.equal(efct('--version').stdout.trim(), require('../package.json').version);
+});
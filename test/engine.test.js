@@ -0,0 +1,328 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const {
+    BatchComparison,
+    ComparisonEngine,
+    ComparisonSession,
+    DEFAULT_COMPARISON_OPTIONS,
+    ReportExporter,
+    SheetData,
+    WorkbookPatch,
+    WorkbookReader
+} = require('../comparison-engine.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function fixture(name) {
+    return { name, data: fs.readFileSync(path.join(FIXTURES, name)) };
+}
+
+function compareFixtures(original, modified, options = {}, base = null) {
+    const files = { original: fixture(original), modified: fixture(modified) };
+    if (base) {
+        files.base = fixture(base);
+    }
+    return ComparisonSession.compareFiles(files, options).comparisonResult;
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Compares the fixtures and returns the patch between them
+function createPatch(original, modified, options = {}) {
+    const files = { original: fixture(original), modified: fixture(modified) };
+    const { session } = ComparisonSession.compareFiles(files, options);
+    return session.request({
+        type: 'patch',
+        files: {
+            original: { name: original, sha256: sha256(files.original.data) },
+            modified: { name: modified, sha256: sha256(files.modified.data) }
+        }
+    }).patch;
+}
+
+// The set and clear operations still needed to turn the patched workbook into the modified one
+function remainingChanges(workbook, modified) {
+    const patched = WorkbookReader.read(new Uint8Array(workbook), 'patched.xlsx');
+    const target = WorkbookReader.read(fixture(modified).data, modified);
+    assert.deepEqual(patched.SheetNames, target.SheetNames);
+    return target.SheetNames.flatMap(sheet => WorkbookPatch.getCellOperations(sheet, patched.Sheets[sheet], target.Sheets[sheet]));
+}
+
+// An xlsx file with one sheet of rows; cells adds or replaces cells by address
+function workbookFile(rows, cells = {}) {
+    const worksheet = globalThis.XLSX.utils.aoa_to_sheet(rows);
+    Object.assign(worksheet, cells);
+    const workbook = globalThis.XLSX.utils.book_new();
+    globalThis.XLSX.utils.book_append_sheet(workbook, worksheet, 'Data');
+    return globalThis.XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+}
+
+function compareText(original, modified, options = {}) {
+    return ComparisonSession.compareFiles({
+        original: { name: 'original.csv', data: Buffer.from(original) },
+        modified: { name: 'modified.csv', data: Buffer.from(modified) }
+    }, options).comparisonResult;
+}
+
+function readCell(workbook, sheet, cellRef) {
+    return WorkbookReader.read(new Uint8Array(workbook), 'workbook.xlsx').Sheets[sheet][cellRef];
+}
+
+test('identical files have no differences', () => {
+    const result = compareFixtures('orders-original.csv', 'orders-original.csv', { keyColumns: ['ID'] });
+
+    assert.equal(result.totalDifferences, 0);
+    assert.equal(result.rowsAdded, 0);
+    assert.equal(result.rowsRemoved, 0);
+    assert.equal(BatchComparison.getOutcome(result), 'pass');
+});
+
+test('rows are matched by key column', () => {
+    const result = compareFixtures('orders-original.csv', 'orders-modified.csv', { keyColumns: ['ID'] });
+
+    assert.deepEqual(
+        result.differences.map(({ cellRef, modifiedCellRef, key, column, originalValue, modifiedValue }) =>
+            [cellRef, modifiedCellRef, key, column, originalValue, modifiedValue]),
+        [
+            ['D3', 'D3', '2', 'Amount', 250, 275],
+            ['C5', 'C4', '4', 'Region', 'West', 'west']
+        ]
+    );
+    assert.equal(result.differences[0].delta, 25);
+    assert.equal(result.rowsAdded, 1);
+    assert.equal(result.rowsRemoved, 1);
+    assert.deepEqual(result.warnings, []);
+    assert.equal(BatchComparison.getOutcome(result), 'fail');
+});
+
+test('ignoreCase drops differences in case only', () => {
+    const result = compareFixtures('orders-original.csv', 'orders-modified.csv', { keyColumns: ['ID'], ignoreCase: true });
+
+    assert.deepEqual(result.differences.map(difference => difference.cellRef), ['D3']);
+});
+
+test('cell types and deltas come from the workbook', () => {
+    const result = compareFixtures('budget-original.xlsx', 'budget-modified.xlsx');
+    const byCell = Object.fromEntries(result.differences.map(difference => [difference.cellRef, difference]));
+
+    assert.deepEqual(Object.keys(byCell), ['C2', 'D3', 'E3', 'C4']);
+    assert.equal(byCell.C2.originalType, 'percent');
+    assert.ok(Math.abs(byCell.C2.delta - 0.015) < 1e-9);
+    assert.equal(byCell.D3.originalType, 'currency');
+    assert.equal(byCell.D3.delta, 12.5);
+    assert.equal(byCell.E3.originalType, 'date');
+    assert.equal(byCell.E3.delta, 3);
+    assert.equal(result.sheetsCompared, 2);
+});
+
+test('formula changes are reported when formulas are compared', () => {
+    const withoutFormulas = compareFixtures('budget-original.xlsx', 'budget-modified.xlsx');
+    const withFormulas = compareFixtures('budget-original.xlsx', 'budget-modified.xlsx', { compareFormulas: true });
+    const formulaChange = withFormulas.differences.find(difference => difference.cellRef === 'F4');
+
+    assert.ok(!withoutFormulas.differences.some(difference => difference.cellRef === 'F4'));
+    assert.equal(formulaChange.changeType, 'formula');
+    assert.equal(formulaChange.originalFormula, 'B4+D4');
+    assert.equal(formulaChange.modifiedFormula, 'B4+D4+0');
+});
+
+test('a comment past the last value column is compared by position', () => {
+    const rows = [['ID', 'Name'], [1, 'a'], [2, 'b']];
+    const withComment = (text) => workbookFile(rows, { E2: { t: 'z', c: [{ a: 'Reviewer', t: text }] }, '!ref': 'A1:E3' });
+    const compare = (original, modified) => ComparisonSession.compareFiles({
+        original: { name: 'original.xlsx', data: original },
+        modified: { name: 'modified.xlsx', data: modified }
+    }).comparisonResult;
+
+    const changed = compare(withComment('Check'), withComment('Checked'));
+    assert.deepEqual(changed.formatChanges.map(({ type, location, originalValue, modifiedValue }) => [type, location, originalValue, modifiedValue]),
+        [['comment', 'E2', 'Check', 'Checked']]);
+
+    const removed = compare(withComment('Check'), workbookFile(rows));
+    assert.deepEqual(removed.schemaChanges, []);
+    assert.deepEqual(removed.formatChanges.map(change => [change.location, change.modifiedValue]), [['E2', '']]);
+});
+
+test('a tall headerless CSV file numbers as many columns as its widest row', () => {
+    const lines = Array.from({ length: 200000 }, (_, row) => (row === 5 ? `${row},${row},${row}` : `${row},${row * 2}`));
+    const workbook = WorkbookReader.read(Buffer.from(lines.join('\n')), 'tall.csv');
+    const worksheet = workbook.Sheets.tall;
+
+    assert.equal(workbook.sourceFormat.hasHeader, false);
+    assert.equal(worksheet['!ref'], 'A1:C200000');
+    assert.deepEqual(new SheetData(worksheet, null, 0).getRow(0), ['Column 1', 'Column 2', 'Column 3']);
+});
+
+test('rows of a headerless CSV file are reported by their line in the file', () => {
+    const result = compareText('1,a\n2,b\n3,c', '1,a\n2,x\n3,c');
+
+    assert.deepEqual(result.differences.map(({ cellRef, column }) => [cellRef, column]), [['B2', 'Column 2']]);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('a header found in only one CSV file leaves both files without one', () => {
+    // Repeated labels do not look like a header
+    const result = compareText('ID,Name\n1,a\n2,b', 'ID,ID\n1,a\n2,c');
+
+    assert.deepEqual(result.differences.map(difference => difference.cellRef), ['B1', 'B3']);
+    assert.equal(result.rowsAdded + result.rowsRemoved, 0);
+    assert.match(result.warnings.join('\n'), /not every file has a header row/);
+});
+
+test('CSV files warn only about formulas that were asked for', () => {
+    assert.deepEqual(compareText('ID,Name\n1,a', 'ID,Name\n1,b', { compareFormatting: true }).warnings, []);
+    assert.deepEqual(compareText('ID,Name\n1,a', 'ID,Name\n1,b', { compareFormulas: true }).warnings,
+        ['Formulas were not compared because CSV and TSV files only hold values']);
+});
+
+test('large sheets with no rows in common are paired by similarity', () => {
+    const sheet = (prefix) => {
+        const lines = ['ID,Name'];
+        for (let row = 0; row < 100000; row++) lines.push(`${prefix}${row},${prefix}`);
+        return WorkbookReader.read(Buffer.from(lines.join('\n')), `${prefix}.csv`);
+    };
+    const engine = new ComparisonEngine(sheet('a'), sheet('b'), DEFAULT_COMPARISON_OPTIONS, { original: 'a.csv', modified: 'b.csv' });
+    const result = engine.compare();
+
+    assert.equal(result.rowsRemoved, 100000);
+    assert.equal(result.rowsAdded, 100000);
+    assert.match(result.warnings.join('\n'), /Row alignment gave up/);
+});
+
+test('three-way comparison separates one-sided changes from conflicts', () => {
+    const result = compareFixtures('prices-a.csv', 'prices-b.csv', { keyColumns: ['SKU'] }, 'prices-base.csv');
+
+    assert.equal(result.threeWay, true);
+    assert.deepEqual(result.counts, { conflict: 1, a: 1, b: 1, both: 1 });
+    assert.deepEqual(result.cells.map(cell => `${cell.location} ${cell.status}`), ['C2 a', 'B3 both', 'C4 conflict', 'C5 b']);
+});
+
+test('a merged workbook takes only the accepted changes', () => {
+    const { comparisonResult, session } = ComparisonSession.compareFiles({
+        original: fixture('budget-original.xlsx'),
+        modified: fixture('budget-modified.xlsx')
+    });
+    const accepted = comparisonResult.differences.findIndex(difference => difference.cellRef === 'D3');
+
+    const { workbook } = session.request({ type: 'merge', acceptedIndices: [accepted], recordChanges: false });
+
+    assert.equal(readCell(workbook, 'Budget', 'D3').v, 262.5);
+    assert.equal(readCell(workbook, 'Budget', 'C2').v, 0.4);
+    assert.throws(() => session.request({ type: 'merge', acceptedIndices: [99] }), /No difference at index 99/);
+});
+
+test('merging before comparing is an error', () => {
+    assert.throws(() => new ComparisonSession().request({ type: 'merge', acceptedIndices: [] }), /Run a comparison before merging/);
+});
+
+test('reports export to every text format', () => {
+    const result = compareFixtures('orders-original.csv', 'orders-modified.csv', { keyColumns: ['ID'] });
+
+    const json = JSON.parse(ReportExporter.export('json', result, { application: 'test' }));
+    assert.equal(json.comparison.differences.length, 2);
+
+    const csv = ReportExporter.export('csv', result, {}).split(/\r?\n/);
+    assert.match(csv[0], /^\uFEFF?Sheet,Change,Location,Key,Column/);
+    assert.ok(csv.some(line => line.includes(',value,D3,2,Amount,250,275,25,')));
+
+    assert.match(ReportExporter.export('markdown', result, {}), /\| D3 \|/);
+    assert.match(ReportExporter.export('html', result, {}), /<table/);
+});
+
+test('CSV exports show text that looks like a formula instead of running it', () => {
+    const result = compareText('ID,Note\n1,ok', 'ID,Note\n1,=HYPERLINK("http://example.com")');
+    const lines = ReportExporter.export('csv', result, {}).split('\r\n');
+
+    assert.equal(lines[1], `original,value,B2,,Note,ok,"'=HYPERLINK(""http://example.com"")",,`);
+    assert.equal(ReportExporter.quoteCSV(-5), '-5');
+    assert.equal(ReportExporter.quoteCSV('@SUM(A1)'), "'@SUM(A1)");
+});
+
+test('batch files pair by name and by pattern', () => {
+    assert.deepEqual(BatchComparison.pairSets(['a_v1.xlsx', 'b.xlsx'], ['a_v2.xlsx', 'c.xlsx']).pairs, [{ original: 0, modified: 0 }]);
+
+    const { pairs, unpaired } = BatchComparison.pairList(['report_2.xlsx', 'report_1.xlsx', 'notes.xlsx'], 'report_*');
+    assert.deepEqual(pairs, [{ original: 1, modified: 0 }]);
+    assert.deepEqual(unpaired.map(file => file.index), [2]);
+
+    assert.throws(() => BatchComparison.compilePattern('*_*'));
+});
+
+test('formatting changes fail the batch outcome and have their own summary column', () => {
+    const rows = [['ID', 'Rate'], [1, 0.5]];
+    const { comparisonResult } = ComparisonSession.compareFiles({
+        original: { name: 'original.xlsx', data: workbookFile(rows) },
+        modified: { name: 'modified.xlsx', data: workbookFile(rows, { B2: { t: 'n', v: 0.5, z: '0%' } }) }
+    });
+
+    assert.equal(comparisonResult.totalDifferences, 0);
+    assert.equal(comparisonResult.formatChanges.length, 1);
+    assert.equal(BatchComparison.getOutcome(comparisonResult), 'fail');
+    assert.equal(BatchComparison.getOutcome({ ...comparisonResult, compareFormatting: false }), 'pass');
+
+    const [header, line] = BatchComparison.toSummaryCSV([{ original: 'a.xlsx', modified: 'b.xlsx', result: comparisonResult, report: 'r.xlsx' }]).split('\r\n');
+    assert.equal(header.split(',')[7], 'Format Changes');
+    assert.equal(line, 'a.xlsx,b.xlsx,fail,0,0,0,0,1,1,r.xlsx,');
+});
+
+test('batch reports zip into one archive', () => {
+    const zip = BatchComparison.createZip([
+        { path: 'batch_summary.csv', content: 'Original,Modified\n' },
+        { path: '01_a_vs_b.json', content: '{}' }
+    ]);
+    const archive = globalThis.XLSX.CFB.read(new Uint8Array(zip), { type: 'array' });
+    // The reader adds its own marker entry, which starts with \u0001
+    const names = archive.FullPaths
+        .filter(name => !name.endsWith('/'))
+        .map(name => path.basename(name))
+        .filter(name => !name.startsWith('\u0001'));
+
+    assert.deepEqual(names.sort(), ['01_a_vs_b.json', 'batch_summary.csv']);
+});
+
+test('a patch turns the original into the modified workbook', () => {
+    const patch = createPatch('orders-original.csv', 'orders-modified.csv', { keyColumns: ['ID'] });
+    const { data } = fixture('orders-original.csv');
+
+    assert.equal(patch.format, 'efct-patch');
+    assert.equal(patch.base.sha256, sha256(data));
+    // Each CSV file's sheet is named after the file
+    assert.deepEqual(patch.operations[0], { op: 'renameSheet', sheet: 'orders-original', name: 'orders-modified' });
+    assert.deepEqual(
+        patch.operations.filter(operation => operation.row).map(operation => `${operation.op} ${operation.row}`),
+        ['deleteRow 4', 'insertRow 5']
+    );
+
+    const workbook = WorkbookPatch.apply(WorkbookReader.read(data, 'orders-original.csv'), WorkbookPatch.parse(JSON.stringify(patch)), sha256(data));
+    assert.deepEqual(remainingChanges(workbook, 'orders-modified.csv'), []);
+});
+
+test('a patch keeps formulas and number formats', () => {
+    const patch = createPatch('budget-original.xlsx', 'budget-modified.xlsx');
+    const { data } = fixture('budget-original.xlsx');
+    const formulaChange = patch.operations.find(operation => operation.cell === 'F4');
+
+    assert.equal(formulaChange.formula, 'B4+D4+0');
+    const { workbook } = new ComparisonSession().request({ type: 'applyPatch', name: 'budget-original.xlsx', buffer: data, sha256: sha256(data), patch });
+    assert.deepEqual(remainingChanges(workbook, 'budget-modified.xlsx'), []);
+    assert.equal(readCell(workbook, 'Budget', 'C2').z, '0.0%');
+});
+
+test('a patch is refused for any other workbook', () => {
+    const patch = createPatch('orders-original.csv', 'orders-modified.csv', { keyColumns: ['ID'] });
+    const { data } = fixture('orders-modified.csv');
+
+    assert.throws(
+        () => WorkbookPatch.apply(WorkbookReader.read(data, 'orders-modified.csv'), patch, sha256(data)),
+        /This patch was made for orders-original\.csv and does not apply to this workbook/
+    );
+    assert.throws(() => WorkbookPatch.parse('{"format":"other"}'), /not a workbook patch/);
+    assert.throws(() => WorkbookPatch.parse({ ...patch, version: 2 }), /newer than this tool reads/);
+});